@@ -1,123 +1,69 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { google } = require('googleapis');
 const path = require('path');
+const { createStore, createBlobs } = require('./storage');
+const { DEFAULT_WALL_ID, loadWalls } = require('./lib/walls');
+const { createEventHub } = require('./lib/events');
+const { MAX_REPLIES, validateNewCard, validateCardUpdate, validateReaction, validateReply, cleanSocial } = require('./lib/validation');
+const { createAuth } = require('./lib/auth');
+const { computeStats } = require('./lib/stats');
+const { backupToZip, parseImport } = require('./lib/transfer');
+const { createImages, publicCard } = require('./lib/images');
+const { snapshotDate, scheduleRollover } = require('./lib/rollover');
+const { parseCardFilter, filterCards, paginate } = require('./lib/search');
+const { createLock } = require('./lib/locks');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { apiError } = require('./lib/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Number of reverse proxies in front of the server (Render, Heroku, nginx), so
+// req.ip (used by the rate limits) is the visitor and not the proxy
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
 
 // Env Vars for Limits
 const MAX_CARDS = process.env.MAX_CARDS ? parseInt(process.env.MAX_CARDS) : 7;
 // 100KB default if not set
-const MAX_IMAGE_SIZE_BYTES = (process.env.MAX_IMAGE_SIZE_KB ? parseInt(process.env.MAX_IMAGE_SIZE_KB) : 100) * 1024;
-
-// --- Google Sheets Configuration ---
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
-const GOOGLE_CLIENT_EMAIL = process.env.GOOGLE_SA_CLIENT_EMAIL;
-const GOOGLE_PRIVATE_KEY = process.env.GOOGLE_SA_PRIVATE_KEY ? process.env.GOOGLE_SA_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
-
-let sheets;
-
-// Diagnosis Log for Deployment
-console.log('--- Google Sheets Config Check ---');
-console.log('SHEET_ID:', SHEET_ID ? 'Set' : 'MISSING');
-console.log('CLIENT_EMAIL:', GOOGLE_CLIENT_EMAIL ? 'Set' : 'MISSING');
-console.log('PRIVATE_KEY:', GOOGLE_PRIVATE_KEY ? 'Set' : 'MISSING');
-
-if (SHEET_ID && GOOGLE_CLIENT_EMAIL && GOOGLE_PRIVATE_KEY) {
-    try {
-        const auth = new google.auth.GoogleAuth({
-            credentials: {
-                client_email: GOOGLE_CLIENT_EMAIL,
-                private_key: GOOGLE_PRIVATE_KEY,
-            },
-            scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-        });
-        sheets = google.sheets({ version: 'v4', auth });
-        console.log('Google Sheets Client Initialized.');
-    } catch (authError) {
-        console.error('Google Auth Init Failed:', authError.message);
-    }
-} else {
-    console.error('CRITICAL ERROR: Google Sheets credentials incomplete. App will return 503 for write operations.');
-}
-
-// --- Google Sheets Helpers (Dynamic Sheet Name) ---
-
-// Cache the sheet title to avoid fetching metadata on every request
-let cachedSheetTitle = null;
-let cachedSheetId = 0; // Default to 0 (first sheet)
-
-async function getSheetInfo() {
-    if (!sheets) throw new Error('Google Sheets not configured');
-    if (cachedSheetTitle) return { title: cachedSheetTitle, sheetId: cachedSheetId };
-
-    try {
-        const meta = await sheets.spreadsheets.get({ spreadsheetId: SHEET_ID });
-        const sheet = meta.data.sheets[0]; // Use the first sheet
-        cachedSheetTitle = sheet.properties.title;
-        cachedSheetId = sheet.properties.sheetId;
-        console.log(`Using Sheet: "${cachedSheetTitle}" (ID: ${cachedSheetId})`);
-        return { title: cachedSheetTitle, sheetId: cachedSheetId };
-    } catch (err) {
-        console.error('Failed to get spreadsheet metadata:', err);
-        throw err;
-    }
-}
-
-// --- Data Helpers ---
-function rowToCard(row) {
-    // Columns: [ID, Text, Mood, Style, Header, Part1, Part2, Part3, X, Y, R]
-    if (!row || row.length === 0) return null;
-    if (row[0] === 'id' || row[0] === 'ID') return null; // Skip header
-
-    return {
-        id: row[0],
-        text: row[1] || '',
-        mood: parseInt(row[2]) || 1,
-        style: row[3] || 'polaroid',
-        header: row[4] || '',
-        parts: [row[5], row[6], row[7]].filter(p => p && p.length > 0),
-        x: parseFloat(row[8]) || 0,
-        y: parseFloat(row[9]) || 0,
-        r: parseFloat(row[10]) || 0,
-        createdAt: row[11] || null
-    };
-}
-
-function cardToRow(card) {
-    const p = card.parts || [];
-    return [
-        card.id,
-        card.text,
-        card.mood,
-        card.style,
-        card.header,
-        p[0] || '',
-        p[1] || '',
-        p[2] || '',
-        card.x,
-        card.y,
-        card.r,
-        card.createdAt || ''
-    ];
-}
-
-async function getSheetData() {
-    if (!sheets) return [];
-    try {
-        const { title } = await getSheetInfo();
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: SHEET_ID,
-            range: `${title}!A:L`, // Dynamic range
-        });
-        return response.data.values || [];
-    } catch (err) {
-        console.error('Google Sheets Read Error:', err);
-        return []; // Return empty array on error to keep app running
-    }
-}
+const MAX_IMAGE_SIZE_KB = process.env.MAX_IMAGE_SIZE_KB ? parseInt(process.env.MAX_IMAGE_SIZE_KB) : 100;
+// When a wall is full, archive a card on print instead of rejecting the new one
+const ARCHIVE_MODE = process.env.ARCHIVE_MODE === 'true';
+const ARCHIVE_PAGE_SIZE = 20;
+const STATS_DEFAULT_DAYS = 30;
+// Imports carry a whole wall of images, so they get a bigger body limit
+const IMPORT_BODY_LIMIT = '50mb';
+const IMPORT_PATHS = ['/api/import', '/api/walls/:wallId/import'];
+// Daily rollover: at this local time ("HH:MM") each wall's cards are archived and its layout snapshotted
+const ROLLOVER_TIME = process.env.ROLLOVER_TIME || null;
+// Deleted cards can be restored (undo) for this long before they are purged
+const DELETE_GRACE_SECONDS = process.env.DELETE_GRACE_SECONDS ? parseInt(process.env.DELETE_GRACE_SECONDS) : 600;
+const DELETE_GRACE_MS = DELETE_GRACE_SECONDS * 1000;
+const PURGE_INTERVAL_MS = 60 * 1000;
+// Per-client rate limits: a burst of this many requests per device token,
+// refilled over a minute; 0 turns a limit off
+const RATE_LIMIT_WRITES = process.env.RATE_LIMIT_WRITES ? parseInt(process.env.RATE_LIMIT_WRITES) : 60;
+const RATE_LIMIT_PRINTS = process.env.RATE_LIMIT_PRINTS ? parseInt(process.env.RATE_LIMIT_PRINTS) : 5;
+// Devices that may share one IP (school, office): each IP gets this many times the limits
+const RATE_LIMIT_DEVICES_PER_IP = process.env.RATE_LIMIT_DEVICES_PER_IP ? parseInt(process.env.RATE_LIMIT_DEVICES_PER_IP) : 10;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// --- Walls & Storage ---
+const walls = loadWalls({ maxCards: MAX_CARDS, maxImageSizeKb: MAX_IMAGE_SIZE_KB, archive: ARCHIVE_MODE, rollover: ROLLOVER_TIME });
+const store = createStore();
+const images = createImages(createBlobs());
+const events = createEventHub();
+// Card-count checks and the writes that depend on them run one at a time per wall
+const wallLock = createLock();
+const writeLimit = createRateLimiter({ max: RATE_LIMIT_WRITES, windowMs: RATE_LIMIT_WINDOW_MS, devicesPerIp: RATE_LIMIT_DEVICES_PER_IP });
+const printLimit = createRateLimiter({ max: RATE_LIMIT_PRINTS, windowMs: RATE_LIMIT_WINDOW_MS, devicesPerIp: RATE_LIMIT_DEVICES_PER_IP });
+const MUTATING_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+const CONTENT_FIELDS = ['text', 'mood', 'style', 'header'];
+
+// --- Auth (optional) ---
+const auth = createAuth({
+    enabled: process.env.AUTH_ENABLED === 'true',
+    adminToken: process.env.ADMIN_TOKEN
+});
 
 // --- Routes ---
 
@@ -126,11 +72,24 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'moodwall.html'));
 });
 
+// Named Wall (same page, the client picks the wall from the URL)
+app.get('/w/:wallId', (req, res) => {
+    if (!walls.has(req.params.wallId)) return res.status(404).send('Wall not found');
+    res.sendFile(path.join(__dirname, 'moodwall.html'));
+});
+
 // Env Config for Frontend
 app.get('/env-config.js', (req, res) => {
+    const wallConfig = {};
+    walls.forEach(wall => {
+        wallConfig[wall.id] = { MAX_CARDS: wall.maxCards, MAX_IMAGE_SIZE_KB: wall.maxImageSizeKb, ARCHIVE_MODE: wall.archive, ROLLOVER: !!wall.rollover };
+    });
     const config = {
         MAX_CARDS: MAX_CARDS,
-        MAX_IMAGE_SIZE_KB: process.env.MAX_IMAGE_SIZE_KB || 100,
+        MAX_IMAGE_SIZE_KB: MAX_IMAGE_SIZE_KB,
+        ARCHIVE_MODE: ARCHIVE_MODE,
+        UNDO_SECONDS: DELETE_GRACE_SECONDS,
+        WALLS: wallConfig,
         // Removed internal port details for security
     };
     res.set('Content-Type', 'application/javascript');
@@ -139,13 +98,20 @@ app.get('/env-config.js', (req, res) => {
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '5mb' }));
+const jsonBody = express.json({ limit: '5mb' });
+app.use((req, res, next) => {
+    // Import routes parse their own (larger) body
+    if (/\/import$/.test(req.path)) return next();
+    jsonBody(req, res, next);
+});
 
 // Security
 app.use((req, res, next) => {
     const forbiddenFiles = ['app.js', 'package.json', 'package-lock.json', '.env', '.gitignore', 'readme.md'];
+    const forbiddenDirs = ['storage', 'lib', 'data'];
     const lowerPath = req.path.toLowerCase();
     const fileName = path.basename(lowerPath);
+    const topDir = lowerPath.split('/')[1];
 
     // Block hidden files/directories (starting with dot)
     if (lowerPath.includes('/.') || fileName.startsWith('.')) {
@@ -157,6 +123,11 @@ app.use((req, res, next) => {
         return res.status(403).send('Forbidden');
     }
 
+    // Block server-side modules and local data files
+    if (forbiddenDirs.includes(topDir)) {
+        return res.status(403).send('Forbidden');
+    }
+
     next();
 });
 
@@ -164,126 +135,549 @@ app.use((req, res, next) => {
 app.use(express.static('.'));
 
 // API Routes
-app.get('/api/cards', async (req, res) => {
+app.use('/api', auth.identify);
+
+// Device token for first-time visitors, plus who the caller is. Issuing a new
+// token counts as a write for the caller's IP; made-up tokens don't get around
+// the limits either, since every write also counts against the IP.
+app.get('/api/session', (req, res, next) => req.auth.ownerId ? next() : writeLimit(req, res, next), auth.session);
+
+// Card routes are shared by the default wall (/api/cards) and named walls (/api/walls/:wallId/cards)
+const cardsRouter = express.Router({ mergeParams: true });
+
+function resolveWall(req, res, next) {
+    req.wall = walls.get(req.params.wallId || DEFAULT_WALL_ID);
+    if (!req.wall) return res.status(404).json(apiError('wall_not_found'));
+    next();
+}
+
+cardsRouter.use(resolveWall);
+cardsRouter.use((req, res, next) => MUTATING_METHODS.includes(req.method) ? writeLimit(req, res, next) : next());
+
+function cardsPath(wall) {
+    return wall.id === DEFAULT_WALL_ID ? '/api/cards' : `/api/walls/${wall.id}/cards`;
+}
+
+// Cards go out with an image URL instead of the stored blob key / legacy base64
+function present(wall, card) {
+    return publicCard(card, cardsPath(wall));
+}
+
+// Deleted cards stay in storage (deletedAt set) until purged, but are otherwise invisible
+async function liveCards(wall) {
+    return (await store.list(wall)).filter(card => !card.deletedAt);
+}
+
+// Optional filters: ?q=&mood=1,2&style=&from=&to= (see lib/search.js).
+// With ?limit= / ?cursor= the result is paged oldest first; the next page's cursor is in X-Next-Cursor.
+cardsRouter.get('/', async (req, res) => {
+    const { filter, error } = parseCardFilter(req.query);
+    if (error) return res.status(400).json(error);
+    try {
+        const cards = filterCards(await liveCards(req.wall), filter);
+        const { page, nextCursor, error: pageError } = paginate(cards, req.query);
+        if (pageError) return res.status(400).json(pageError);
+        if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+        res.json((page || cards).map(card => present(req.wall, card)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('fetch_failed'));
+    }
+});
+
+// Live updates: created / updated / deleted events for this wall
+cardsRouter.get('/events', (req, res) => {
+    events.subscribe(req.wall.id, req, res);
+});
+
+function oldestCard(cards) {
+    return cards.reduce((oldest, card) => {
+        if (!oldest) return card;
+        return (card.createdAt || '') < (oldest.createdAt || '') ? card : oldest;
+    }, null);
+}
+
+// Archived cards, newest first: GET ?offset=0&limit=20, with the same filters as the card list
+cardsRouter.get('/archive', async (req, res) => {
+    const { filter, error } = parseCardFilter(req.query);
+    if (error) return res.status(400).json(error);
     try {
-        const rows = await getSheetData();
-        const cards = rows.map(rowToCard).filter(c => c !== null);
-        res.json(cards);
+        const offset = Math.max(0, parseInt(req.query.offset) || 0);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || ARCHIVE_PAGE_SIZE));
+        const archived = filterCards(await store.listArchive(req.wall), filter).reverse();
+        res.json({
+            cards: archived.slice(offset, offset + limit).map(card => present(req.wall, card)),
+            total: archived.length,
+            offset,
+            limit
+        });
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Failed to fetch' });
+        res.status(500).json(apiError('fetch_failed'));
     }
 });
 
-app.post('/api/cards', async (req, res) => {
-    if (!sheets) return res.status(503).json({ error: 'Storage unavailable' });
+// Card image (also for archived cards). URLs from card lists carry ?v=<version>
+// and are cached for good; express answers If-None-Match with 304 from the ETag.
+cardsRouter.get('/:id/image', async (req, res) => {
     try {
-        const { title } = await getSheetInfo();
-        const newCard = req.body;
+        const card = await store.get(req.wall, req.params.id) || await store.getArchived(req.wall, req.params.id);
+        const image = card && await images.load(card);
+        if (!image) return res.status(404).json(apiError('not_found'));
 
-        // 1. Basic Content Validation
-        if (!newCard || typeof newCard !== 'object') {
-            return res.status(400).json({ error: 'Invalid data format' });
-        }
-        // Limit text length to prevent abuse
-        if (newCard.text && newCard.text.length > 500) {
-            return res.status(400).json({ error: 'Text too long' });
-        }
-        // Ensure x, y, r are numbers to prevent injection/formatting issues
-        newCard.x = Number(newCard.x) || 0;
-        newCard.y = Number(newCard.y) || 0;
-        newCard.r = Number(newCard.r) || 0;
-
-        // 2. Enforce Max Cards Limit
-        const allRows = await getSheetData();
-        // Count only valid card rows
-        const currentCardCount = allRows.map(rowToCard).filter(c => c !== null).length;
-
-        if (currentCardCount >= MAX_CARDS) {
-            return res.status(400).json({ error: `Card limit reached (${MAX_CARDS})` });
-        }
+        res.set('ETag', `"${image.version}"`);
+        res.set('Cache-Control', req.query.v === image.version ? 'public, max-age=31536000, immutable' : 'no-cache');
+        res.type(image.contentType).send(image.data);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('fetch_failed'));
+    }
+});
 
-        const row = cardToRow(newCard);
+// Loads the card for PATCH/DELETE and checks the caller may change it
+async function loadOwnedCard(req, res) {
+    const card = await store.get(req.wall, req.params.id);
+    if (!card || card.deletedAt) {
+        res.status(404).json(apiError('not_found'));
+        return null;
+    }
+    if (!auth.canModify(req.auth, card)) {
+        res.status(403).json(apiError('not_your_card'));
+        return null;
+    }
+    return card;
+}
+
+cardsRouter.post('/', auth.requireIdentity, printLimit, async (req, res) => {
+    if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
+    try {
+        const { maxCards } = req.wall;
+
+        // 1. Content Validation (type, size, format of every field)
+        const { card: newCard, error } = validateNewCard(req.body, req.wall);
+        if (error) return res.status(400).json(error);
+        newCard.owner = req.auth.ownerId || '';
+
+        // 2-4. Count, make room and append under the wall's lock, so two prints
+        // at the same time can't both take the last free spot
+        const result = await wallLock(req.wall.id, async () => {
+            // A deleted card keeps its id until purged
+            const allCards = await store.list(req.wall);
+            const existingCards = allCards.filter(c => !c.deletedAt);
+
+            if (allCards.some(c => c.id === newCard.id)) {
+                return { status: 409, error: apiError('card_exists') };
+            }
 
-        await sheets.spreadsheets.values.append({
-            spreadsheetId: SHEET_ID,
-            range: `${title}!A:L`,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: [row] },
+            // 3. Full wall: reject, or (archive mode) make room by archiving a card
+            let cardToArchive = null;
+            if (existingCards.length >= maxCards) {
+                if (!req.wall.archive) {
+                    return { status: 400, error: apiError('card_limit', { max: maxCards }) };
+                }
+                const { archiveId } = req.body;
+                if (archiveId !== undefined) {
+                    // User-chosen card: same permission as deleting it
+                    cardToArchive = existingCards.find(c => c.id === archiveId);
+                    if (!cardToArchive) return { status: 400, error: apiError('archive_card_not_found') };
+                    if (!auth.canModify(req.auth, cardToArchive)) return { status: 403, error: apiError('not_your_card') };
+                } else {
+                    cardToArchive = oldestCard(existingCards);
+                }
+            }
+
+            // 4. Append
+            if (cardToArchive) {
+                await store.archive(req.wall, cardToArchive.id);
+                events.publish(req.wall.id, 'deleted', { id: cardToArchive.id, archived: true });
+            }
+            Object.assign(newCard, await images.store(req.wall.id, newCard.id, newCard.header, newCard.parts));
+            await store.create(req.wall, newCard);
+            return {};
         });
-        res.status(201).json(newCard);
+        if (result.error) return res.status(result.status).json(result.error);
+
+        events.publish(req.wall.id, 'created', present(req.wall, newCard));
+        res.status(201).json(present(req.wall, newCard));
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Failed to save' });
+        res.status(500).json(apiError('save_failed'));
     }
 });
 
-app.patch('/api/cards/:id', async (req, res) => {
-    if (!sheets) return res.status(503).json({ error: 'Storage unavailable' });
+cardsRouter.patch('/:id', auth.requireIdentity, async (req, res) => {
+    if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
     try {
-        const { title } = await getSheetInfo();
-        const { id } = req.params;
-        const updates = req.body;
+        const { updates, error } = validateCardUpdate(req.body, req.wall);
+        if (error) return res.status(400).json(error);
+        const card = await loadOwnedCard(req, res);
+        if (!card) return;
 
-        // Fetch all data to find the row index
-        const allRows = await getSheetData();
-        const rowIndex = allRows.findIndex(row => row[0] === id);
+        // Edits to what the card says (not moves) are dated, for the "edited" badge
+        if (CONTENT_FIELDS.some(field => updates[field] !== undefined)) updates.updatedAt = new Date().toISOString();
 
-        if (rowIndex === -1) return res.status(404).json({ error: 'Not found' });
+        // A new image replaces the old blob
+        if (updates.header !== undefined) {
+            Object.assign(updates, await images.store(req.wall.id, card.id, updates.header, updates.parts));
+        }
+
+        const updatedCard = await store.update(req.wall, req.params.id, updates);
+        if (!updatedCard) return res.status(404).json(apiError('not_found'));
+        if (card.image && card.image !== updatedCard.image) await images.remove(card);
+        events.publish(req.wall.id, 'updated', present(req.wall, updatedCard));
+        res.json(present(req.wall, updatedCard));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('update_failed'));
+    }
+});
+
+// Emoji reactions: POST { emoji } toggles the caller's reaction.
+// One per person and emoji, so this needs a device token even with auth off.
+cardsRouter.post('/:id/reactions', async (req, res) => {
+    if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
+    const ownerId = req.auth.ownerId;
+    if (!ownerId) return res.status(401).json(apiError('device_token_required'));
+    try {
+        const { emoji, error } = validateReaction(req.body);
+        if (error) return res.status(400).json(error);
+
+        const updatedCard = await store.update(req.wall, req.params.id, card => {
+            if (card.deletedAt) return {};
+            const reactions = { ...card.reactions };
+            const owners = reactions[emoji] || [];
+            reactions[emoji] = owners.includes(ownerId) ? owners.filter(o => o !== ownerId) : owners.concat(ownerId);
+            if (reactions[emoji].length === 0) delete reactions[emoji];
+            return { reactions };
+        });
+        if (!updatedCard || updatedCard.deletedAt) return res.status(404).json(apiError('not_found'));
+        events.publish(req.wall.id, 'updated', present(req.wall, updatedCard));
+        res.json(present(req.wall, updatedCard));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('react_failed'));
+    }
+});
+
+// Short replies: POST { text }, anyone may reply to any card
+cardsRouter.post('/:id/replies', auth.requireIdentity, async (req, res) => {
+    if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
+    try {
+        const { text, error } = validateReply(req.body);
+        if (error) return res.status(400).json(error);
+
+        const reply = {
+            id: `reply_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            text,
+            owner: req.auth.ownerId || '',
+            createdAt: new Date().toISOString()
+        };
+        let full = false;
+        const updatedCard = await store.update(req.wall, req.params.id, card => {
+            if (card.deletedAt) return {};
+            const replies = card.replies || [];
+            if (replies.length >= MAX_REPLIES) {
+                full = true;
+                return {};
+            }
+            return { replies: replies.concat(reply) };
+        });
+        if (!updatedCard || updatedCard.deletedAt) return res.status(404).json(apiError('not_found'));
+        if (full) return res.status(400).json(apiError('reply_limit', { max: MAX_REPLIES }));
+        events.publish(req.wall.id, 'updated', present(req.wall, updatedCard));
+        res.status(201).json(present(req.wall, updatedCard));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('reply_failed'));
+    }
+});
 
-        const existingCard = rowToCard(allRows[rowIndex]);
-        const updatedCard = { ...existingCard, ...updates };
-        const updatedRow = cardToRow(updatedCard);
+cardsRouter.delete('/:id', auth.requireIdentity, async (req, res) => {
+    if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
+    try {
+        const card = await loadOwnedCard(req, res);
+        if (!card) return;
+
+        // Soft delete: gone from the wall now, purged (with its image) once the undo window is over
+        const deletedAt = new Date();
+        const updatedCard = await store.update(req.wall, card.id, { deletedAt: deletedAt.toISOString() });
+        if (!updatedCard) return res.status(404).json(apiError('not_found'));
+        wallsToPurge.add(req.wall.id);
+        events.publish(req.wall.id, 'deleted', { id: card.id });
+        res.json({ success: true, restorableUntil: new Date(deletedAt.getTime() + DELETE_GRACE_MS).toISOString() });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('delete_failed'));
+    }
+});
 
-        const sheetRow = rowIndex + 1; // 1-indexed
+// Undo a delete within DELETE_GRACE_SECONDS; the card comes back where it was
+cardsRouter.post('/:id/restore', auth.requireIdentity, async (req, res) => {
+    if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
+    try {
+        const card = await store.get(req.wall, req.params.id);
+        if (!card) return res.status(404).json(apiError('not_found'));
+        if (!card.deletedAt) return res.status(409).json(apiError('card_not_deleted'));
+        if (Date.now() - new Date(card.deletedAt).getTime() > DELETE_GRACE_MS) {
+            return res.status(410).json(apiError('restore_expired'));
+        }
+        if (!auth.canModify(req.auth, card)) return res.status(403).json(apiError('not_your_card'));
 
-        await sheets.spreadsheets.values.update({
-            spreadsheetId: SHEET_ID,
-            range: `${title}!A${sheetRow}:L${sheetRow}`,
-            valueInputOption: 'USER_ENTERED',
-            resource: { values: [updatedRow] },
+        // A restored card takes a spot on the wall like a new one
+        const { maxCards } = req.wall;
+        const result = await wallLock(req.wall.id, async () => {
+            if ((await liveCards(req.wall)).length >= maxCards) {
+                return { status: 400, error: apiError('card_limit', { max: maxCards }) };
+            }
+            return { card: await store.update(req.wall, card.id, { deletedAt: '' }) };
         });
-        res.json(updatedCard);
+        if (result.error) return res.status(result.status).json(result.error);
+        const restored = result.card;
+        if (!restored) return res.status(404).json(apiError('not_found'));
+        events.publish(req.wall.id, 'created', present(req.wall, restored));
+        res.json(present(req.wall, restored));
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Failed to update' });
+        res.status(500).json(apiError('restore_failed'));
     }
 });
 
-app.delete('/api/cards/:id', async (req, res) => {
-    if (!sheets) return res.status(503).json({ error: 'Storage unavailable' });
+// Walls that may hold soft-deleted cards; all of them at startup
+const wallsToPurge = new Set(walls.keys());
+
+/**
+ * Removes a wall's deleted cards whose undo window is over.
+ * @returns {Promise<boolean>} true while some deleted cards are still restorable
+ */
+async function purgeDeleted(wall) {
+    const cutoff = Date.now() - DELETE_GRACE_MS;
+    const deleted = (await store.list(wall)).filter(card => card.deletedAt);
+    for (const card of deleted) {
+        if (new Date(card.deletedAt).getTime() > cutoff) continue;
+        if (await store.remove(wall, card.id)) await images.remove(card);
+    }
+    return deleted.some(card => new Date(card.deletedAt).getTime() > cutoff);
+}
+
+app.use('/api/cards', cardsRouter);
+app.use('/api/walls/:wallId/cards', cardsRouter);
+
+// Wall backup: GET ?format=json (default) or ?format=zip (cards, archive and
+// snapshots as JSON files + decoded images)
+app.get(['/api/export', '/api/walls/:wallId/export'], resolveWall, async (req, res) => {
     try {
-        const { sheetId } = await getSheetInfo(); // Need numeric SheetID for batchUpdate
-        const { id } = req.params;
-
-        const allRows = await getSheetData();
-        const rowIndex = allRows.findIndex(row => row[0] === id);
-
-        if (rowIndex === -1) return res.status(404).json({ error: 'Not found' });
-
-        await sheets.spreadsheets.batchUpdate({
-            spreadsheetId: SHEET_ID,
-            resource: {
-                requests: [{
-                    deleteDimension: {
-                        range: {
-                            sheetId: sheetId,
-                            dimension: 'ROWS',
-                            startIndex: rowIndex,     // 0-indexed inclusive
-                            endIndex: rowIndex + 1    // exclusive
-                        }
-                    }
-                }]
+        // Backups are self-contained: images go back inline
+        const backup = {
+            cards: await Promise.all((await liveCards(req.wall)).map(images.inline)),
+            archive: await Promise.all((await store.listArchive(req.wall)).map(images.inline)),
+            snapshots: await store.exportSnapshots(req.wall)
+        };
+        const fileName = `moodwall-${req.wall.id}-${new Date().toISOString().slice(0, 10)}`;
+
+        if (req.query.format === 'zip') {
+            res.attachment(`${fileName}.zip`);
+            return res.send(backupToZip(backup));
+        }
+        res.attachment(`${fileName}.json`);
+        res.json({ wall: req.wall.id, exportedAt: new Date().toISOString(), ...backup });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('export_failed'));
+    }
+});
+
+// A card an import leaves out: its id plus the API error saying why (message as `reason`)
+function skippedCard(id, { error, ...code }) {
+    return { id, reason: error, ...code };
+}
+
+/**
+ * Adds backup cards to a wall (run under the wall's lock). Cards go through the
+ * same validation and MAX_CARDS / archive rules as POST.
+ * @returns {Promise<{imported: string[], skipped: {id: string, reason: string, code: string, params?: object}[]}>}
+ */
+async function importCards(wall, incoming) {
+    const { maxCards } = wall;
+    const allCards = await store.list(wall);
+    const existingCards = allCards.filter(c => !c.deletedAt);
+    const imported = [];
+    const skipped = [];
+
+    // Oldest first, so in archive mode the newest cards end up on the wall
+    const ordered = incoming.slice().sort((a, b) => String((a && a.createdAt) || '').localeCompare(String((b && b.createdAt) || '')));
+
+    for (const raw of ordered) {
+        const { card, error } = validateNewCard(raw, wall, { keepCreatedAt: true });
+        if (error) {
+            skipped.push(skippedCard(raw && raw.id, error));
+            continue;
+        }
+        if (allCards.some(c => c.id === card.id)) {
+            skipped.push(skippedCard(card.id, apiError('card_exists')));
+            continue;
+        }
+        // Keep the original owner so ownership survives a backup/restore
+        card.owner = typeof raw.owner === 'string' && /^[a-f0-9]{24}$/.test(raw.owner) ? raw.owner : '';
+        Object.assign(card, cleanSocial(raw));
+        if (typeof raw.updatedAt === 'string' && !isNaN(new Date(raw.updatedAt))) card.updatedAt = new Date(raw.updatedAt).toISOString();
+
+        if (existingCards.length >= maxCards) {
+            if (!wall.archive) {
+                skipped.push(skippedCard(card.id, apiError('card_limit', { max: maxCards })));
+                continue;
             }
+            const oldest = oldestCard(existingCards);
+            await store.archive(wall, oldest.id);
+            existingCards.splice(existingCards.indexOf(oldest), 1);
+            events.publish(wall.id, 'deleted', { id: oldest.id, archived: true });
+        }
+
+        Object.assign(card, await images.store(wall.id, card.id, card.header, card.parts));
+        await store.create(wall, card);
+        existingCards.push(card);
+        allCards.push(card);
+        events.publish(wall.id, 'created', present(wall, card));
+        imported.push(card.id);
+    }
+
+    return { imported, skipped };
+}
+
+// Restore a backup (JSON dump, ZIP, or a plain card array like cards.json).
+// The wall, rate limit and admin checks run before the (large) body is read.
+app.post(IMPORT_PATHS,
+    resolveWall,
+    writeLimit,
+    (req, res, next) => {
+        if (!store.isAvailable()) return res.status(503).json(apiError('storage_unavailable'));
+        if (auth.enabled && !req.auth.isAdmin) return res.status(403).json(apiError('admin_only'));
+        next();
+    },
+    express.raw({ type: ['application/zip', 'application/octet-stream'], limit: IMPORT_BODY_LIMIT }),
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    async (req, res) => {
+        let incoming;
+        try {
+            incoming = parseImport(req.body, req.wall);
+        } catch (err) {
+            return res.status(400).json(apiError('invalid_import', { reason: err.message }));
+        }
+
+        try {
+            res.json(await wallLock(req.wall.id, () => importCards(req.wall, incoming)));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json(apiError('import_failed'));
+        }
+    });
+
+// Mood analytics: GET ?from=&to=&bucket=day|week&tzOffset=-480&includeArchive=true
+app.get(['/api/stats', '/api/walls/:wallId/stats'], resolveWall, async (req, res) => {
+    try {
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - STATS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+        const bucket = req.query.bucket || 'day';
+        const tzOffset = req.query.tzOffset !== undefined ? parseInt(req.query.tzOffset) : new Date().getTimezoneOffset();
+
+        if (isNaN(from) || isNaN(to) || from > to) return res.status(400).json(apiError('invalid_date_range'));
+        if (!['day', 'week'].includes(bucket)) return res.status(400).json(apiError('invalid_query', { param: 'bucket' }));
+        if (isNaN(tzOffset) || Math.abs(tzOffset) > 14 * 60) return res.status(400).json(apiError('invalid_query', { param: 'tzOffset' }));
+
+        let cards = await liveCards(req.wall);
+        if (req.query.includeArchive !== 'false') {
+            cards = cards.concat(await store.listArchive(req.wall));
+        }
+
+        res.json({
+            from: from.toISOString(),
+            to: to.toISOString(),
+            bucket,
+            ...computeStats(cards, { from, to, bucket, tzOffset })
         });
-        res.json({ success: true });
     } catch (err) {
         console.error(err);
-        res.status(500).json({ error: 'Failed to delete' });
+        res.status(500).json(apiError('fetch_failed'));
+    }
+});
+
+// Past days (walls with a rollover): GET /api/snapshots lists them, newest first
+app.get(['/api/snapshots', '/api/walls/:wallId/snapshots'], resolveWall, async (req, res) => {
+    try {
+        const snapshots = await store.listSnapshots(req.wall);
+        res.json(snapshots.sort((a, b) => b.date.localeCompare(a.date)));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('fetch_failed'));
     }
 });
 
+// One day's wall as it looked at rollover: the archived cards at their snapshot positions
+app.get(['/api/snapshots/:date', '/api/walls/:wallId/snapshots/:date'], resolveWall, async (req, res) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) return res.status(400).json(apiError('invalid_date', { param: 'date' }));
+    try {
+        const snapshot = await store.getSnapshot(req.wall, req.params.date);
+        if (!snapshot) return res.status(404).json(apiError('not_found'));
+
+        const known = new Map();
+        (await store.listArchive(req.wall)).concat(await store.list(req.wall)).forEach(c => known.set(c.id, c));
+        const cards = snapshot.cards
+            .filter(entry => known.has(entry.id))
+            .map(({ id, x, y, r }) => ({ ...present(req.wall, known.get(id)), x, y, r }));
+
+        res.json({ date: snapshot.date, takenAt: snapshot.takenAt, cards });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json(apiError('fetch_failed'));
+    }
+});
+
+/**
+ * Closes a wall's day: saves the layout of every card printed before the
+ * rollover as that day's snapshot, then moves those cards to the archive
+ * (which keeps their images). Cards printed after the rollover moment
+ * (during a late catch-up) stay for the next day. Runs under the wall's lock,
+ * so a print can't archive or add cards halfway through.
+ */
+function rollOverWall(wall, rolloverAt) {
+    return wallLock(wall.id, async () => {
+        const date = snapshotDate(rolloverAt);
+        if (await store.getSnapshot(wall, date)) return; // Already done before a restart
+
+        const cards = (await liveCards(wall)).filter(card => !card.createdAt || new Date(card.createdAt) < rolloverAt);
+        if (cards.length === 0) return;
+
+        await store.saveSnapshot(wall, {
+            date,
+            takenAt: new Date().toISOString(),
+            cards: cards.map(({ id, x, y, r }) => ({ id, x, y, r }))
+        });
+        for (const card of cards) {
+            await store.archive(wall, card.id);
+            events.publish(wall.id, 'deleted', { id: card.id, archived: true });
+        }
+        console.log(`Wall "${wall.id}" rolled over: ${cards.length} cards saved as ${date}`);
+    });
+}
+
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    if (sheets) console.log('Connected to Google Sheets');
+    if (store.isAvailable()) console.log(`Storage: ${store.name}`);
+
+    if (!store.isAvailable()) return;
+    setInterval(async () => {
+        for (const wallId of wallsToPurge) {
+            try {
+                if (!(await purgeDeleted(walls.get(wallId)))) wallsToPurge.delete(wallId);
+            } catch (err) {
+                console.error(`Purging deleted cards of wall "${wallId}" failed:`, err);
+            }
+        }
+    }, PURGE_INTERVAL_MS).unref();
+
+    walls.forEach(wall => {
+        if (!wall.rollover) return;
+        scheduleRollover(wall.rollover, rolloverAt => rollOverWall(wall, rolloverAt).catch(err => {
+            console.error(`Rollover of wall "${wall.id}" failed:`, err);
+        }));
+    });
 });
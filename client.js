@@ -5,10 +5,21 @@
 const DEFAULT_MAX_CARDS = 7;
 const DEFAULT_IMAGE_MAX_KB = 100;
 
-// Use window.ENV or fallback to defaults
-const MAX_CARDS = (window.ENV && window.ENV.MAX_CARDS) ? parseInt(window.ENV.MAX_CARDS) : DEFAULT_MAX_CARDS;
-const TARGET_IMAGE_MAX_BYTES = ((window.ENV && window.ENV.MAX_IMAGE_SIZE_KB) ? parseInt(window.ENV.MAX_IMAGE_SIZE_KB) : DEFAULT_IMAGE_MAX_KB) * 1024;
-const API_URL = '/api/cards';
+// Named walls live at /w/:wallId, everything else is the default wall
+const WALL_ID = (window.location.pathname.match(/^\/w\/([^/]+)/) || [])[1] || null;
+
+// Use the wall's settings from window.ENV, then the global ones, then defaults
+const WALL_ENV = (window.ENV && window.ENV.WALLS && window.ENV.WALLS[WALL_ID || 'default']) || window.ENV || {};
+const MAX_CARDS = WALL_ENV.MAX_CARDS ? parseInt(WALL_ENV.MAX_CARDS) : DEFAULT_MAX_CARDS;
+const TARGET_IMAGE_MAX_BYTES = (WALL_ENV.MAX_IMAGE_SIZE_KB ? parseInt(WALL_ENV.MAX_IMAGE_SIZE_KB) : DEFAULT_IMAGE_MAX_KB) * 1024;
+const ARCHIVE_MODE = !!WALL_ENV.ARCHIVE_MODE;
+const API_URL = WALL_ID ? `/api/walls/${encodeURIComponent(WALL_ID)}/cards` : '/api/cards';
+// Walls with a daily rollover keep a snapshot per day; ?date=YYYY-MM-DD shows one, read-only
+const ROLLOVER = !!WALL_ENV.ROLLOVER;
+const SNAPSHOTS_URL = WALL_ID ? `/api/walls/${encodeURIComponent(WALL_ID)}/snapshots` : '/api/snapshots';
+const SNAPSHOT_DATE = (window.location.search.match(/[?&]date=(\d{4}-\d{2}-\d{2})(?:&|$)/) || [])[1] || null;
+// Deleted cards can be restored for this long before the server purges them
+const UNDO_MS = ((window.ENV && window.ENV.UNDO_SECONDS) || 600) * 1000;
 
 // DOM Elements
 const typedText = document.getElementById('typed-text');
@@ -19,18 +30,54 @@ const btnUpload = document.getElementById('btn-upload');
 const printBtn = document.getElementById('print-btn');
 const cardsLayer = document.getElementById('cards-layer');
 const moodButtons = document.querySelectorAll('.mood-btn');
+const styleSelect = document.getElementById('style-select');
 
 const overlay = document.getElementById('overlay');
+const archiveBtn = document.getElementById('archive-btn');
+const archivePanel = document.getElementById('archive-panel');
+const archiveList = document.getElementById('archive-list');
+const archiveMoreBtn = document.getElementById('archive-more');
+const statsPanel = document.getElementById('stats-panel');
+const toastContainer = document.getElementById('toast-container');
+const snapshotBanner = document.getElementById('snapshot-banner');
+const snapshotPicker = document.getElementById('snapshot-picker');
+const snapshotSelect = document.getElementById('snapshot-select');
 const typewriterContainer = document.querySelector('.typewriter-container');
 
+// Static page text in the UI language (i18n.js)
+translatePage();
+
+// Language picker in the wall toolbar, each locale named in its own language
+const localeSelect = document.getElementById('locale-select');
+Object.keys(I18N).forEach(locale => {
+    const option = createEl('option', '', I18N[locale]['locale.name']);
+    option.value = locale;
+    localeSelect.appendChild(option);
+});
+localeSelect.value = LOCALE;
+localeSelect.addEventListener('change', () => {
+    // Switching reloads the page; the typewriter comes back as it was
+    saveDraft();
+    setLocale(localeSelect.value);
+});
+
 // State
+let session = { authEnabled: false, admin: false, ownerId: null };
 let currentMood = 3;
 let currentStyle = 'polaroid';
 let currentBase64Parts = null;
 
 // Initialization
-window.onload = () => {
-    loadCards();
+window.onload = async () => {
+    await initSession();
+    if (SNAPSHOT_DATE) {
+        loadSnapshot(SNAPSHOT_DATE);
+    } else {
+        // A card that was being edited needs to be on the wall before the draft comes back
+        loadCards().then(restoreDraft);
+        connectLiveUpdates();
+    }
+    registerServiceWorker();
     focusInput();
     adjustLayout();
 };
@@ -48,17 +95,75 @@ function adjustLayout() {
     typewriterContainer.style.transform = `translateX(-50%) scale(${scale})`;
 }
 
+/**
+ * Loads (or obtains on first visit) this device's anonymous token.
+ * An admin token can be handed over once via ?admin=<token>.
+ */
+async function initSession() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('admin')) {
+        localStorage.setItem('moodwall.adminToken', params.get('admin'));
+        params.delete('admin');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+    }
+
+    try {
+        const res = await fetch('/api/session', { headers: authHeaders() });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        session = await res.json();
+        if (session.token) localStorage.setItem('moodwall.deviceToken', session.token);
+        localStorage.setItem('moodwall.session', JSON.stringify({ ...session, token: undefined }));
+    } catch (e) {
+        // Offline (or rate limited): fall back to who we were last time
+        const saved = localStorage.getItem('moodwall.session');
+        if (saved) session = JSON.parse(saved);
+        console.error('Session failed', e);
+    }
+}
+
+/**
+ * Headers identifying this device (and admin, if set) for write requests
+ */
+function authHeaders(extra = {}) {
+    const headers = { ...extra };
+    const deviceToken = localStorage.getItem('moodwall.deviceToken');
+    const adminToken = localStorage.getItem('moodwall.adminToken');
+    if (deviceToken) headers['X-Device-Token'] = deviceToken;
+    if (adminToken) headers['X-Admin-Token'] = adminToken;
+    return headers;
+}
+
+function canModifyCard(owner) {
+    return !session.authEnabled || session.admin || (!!owner && owner === session.ownerId);
+}
+
 /**
  * Focuses the hidden input for typing
  */
 function focusInput() { hiddenInput.focus(); }
 paperDiv.addEventListener('click', focusInput);
 
-// Overlay click handler (close expanded cards)
-overlay.addEventListener('click', () => {
-    document.querySelectorAll('.card.expanded').forEach(c => c.classList.remove('expanded'));
+/**
+ * Expands a card over the wall (double-click, or Enter on a focused card)
+ */
+function expandCard(cardEl) {
+    cardEl.classList.add('expanded');
+    overlay.classList.add('active');
+}
+
+/**
+ * Closes expanded cards (overlay click or Escape); keyboard focus goes back to the card.
+ */
+function closeExpandedCards() {
+    document.querySelectorAll('.card.expanded').forEach(c => {
+        c.classList.remove('expanded');
+        if (c.contains(document.activeElement)) c.focus();
+    });
     overlay.classList.remove('active');
-});
+}
+
+overlay.addEventListener('click', closeExpandedCards);
 
 // Virtual Keyboard Interaction Handler
 const handleVirtualKey = (e) => {
@@ -110,12 +215,6 @@ const handleVirtualKey = (e) => {
     hiddenInput.dispatchEvent(new Event('input', { bubbles: true }));
 };
 
-// Close expanded card on overlay click
-overlay.addEventListener('click', () => {
-    document.querySelectorAll('.card.expanded').forEach(c => c.classList.remove('expanded'));
-    overlay.classList.remove('active');
-});
-
 const kbBase = document.querySelector('.keyboard-base');
 // Remove old listeners if any to avoid duplicates (though simple assignment implies fresh in this context if reloaded, but good practice)
 kbBase.removeEventListener('click', typeof handleVirtualKey !== 'undefined' ? handleVirtualKey : null);
@@ -145,6 +244,34 @@ if (window.visualViewport) {
 // Physical Keyboard Event Handler
 document.addEventListener('keydown', (e) => {
     if (e.isComposing) return;
+    // The photo editor, doodle pad and archive choice are modal and handle their own keys
+    if (photoEditor.open || doodlePad.open || archiveChoiceDialog.open) return;
+    if (e.key === 'Escape' && overlay.classList.contains('active')) {
+        closeExpandedCards();
+        return;
+    }
+    if (e.key === 'Escape' && editingCard && e.target === hiddenInput) {
+        finishEditing();
+        return;
+    }
+    // Let dropdowns (style picker, stats filters) and text fields (replies) keep keyboard focus
+    if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT') return;
+    // Ctrl/Cmd+Z undoes the last wall edit, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes it.
+    // While there is text in the typewriter (or a card is being edited) the keys
+    // are the textarea's own text undo; on other controls they do nothing here.
+    if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+        const typing = e.target === hiddenInput && (hiddenInput.value || editingCard);
+        const onWall = e.target === hiddenInput || e.target === document.body || e.target.closest('#mood-wall');
+        if (typing || !onWall) return;
+        e.preventDefault();
+        if (e.shiftKey || e.key.toLowerCase() === 'y') redo();
+        else undo();
+        return;
+    }
+    // On other controls (cards, buttons, the mood picker) only typing goes to the
+    // typewriter; Tab, arrows, Enter and Space keep working on the focused control
+    if (e.target !== hiddenInput && e.key !== 'Backspace' &&
+        (e.key.length !== 1 || e.key === ' ' || e.ctrlKey || e.metaKey || e.altKey)) return;
     focusInput();
     visualKeyPress(e.key);
 });
@@ -237,7 +364,7 @@ function renderTypedText(text) {
     const esc = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
 
     if (!text) {
-        typedText.innerHTML = '<span class="cursor"></span><span style="color:#999">點此輸入心情...</span>';
+        typedText.innerHTML = '<span class="cursor"></span><span style="color:#999">' + esc(t('typewriter.placeholder')) + '</span>';
         return;
     }
 
@@ -256,12 +383,38 @@ document.addEventListener('selectionchange', () => {
     }
 });
 
-// Mood Selection
+// Style Selection (remembered between visits)
+const savedStyle = localStorage.getItem('moodwall.style');
+if (savedStyle && Array.from(styleSelect.options).some(o => o.value === savedStyle)) {
+    styleSelect.value = savedStyle;
+}
+currentStyle = styleSelect.value;
+styleSelect.addEventListener('change', () => {
+    currentStyle = styleSelect.value;
+    localStorage.setItem('moodwall.style', currentStyle);
+    focusInput();
+});
+
+// Mood Selection: a radio group, so only the chosen mood is in the tab order
+// and the arrow keys move the choice
+function selectMood(mood, focus = false) {
+    currentMood = mood;
+    moodButtons.forEach(b => {
+        const checked = Number(b.dataset.mood) === mood;
+        b.classList.toggle('active', checked);
+        b.setAttribute('aria-checked', String(checked));
+        b.tabIndex = checked ? 0 : -1;
+        if (checked && focus) b.focus();
+    });
+}
+
 moodButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-        moodButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        currentMood = Number(btn.dataset.mood);
+    btn.addEventListener('click', () => selectMood(Number(btn.dataset.mood)));
+    btn.addEventListener('keydown', (e) => {
+        const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+        if (!step) return;
+        e.preventDefault();
+        selectMood((currentMood - 1 + step + 5) % 5 + 1, true);
     });
 });
 
@@ -273,335 +426,2151 @@ btnUpload.addEventListener('click', (e) => { e.stopPropagation(); fileInput.clic
 fileInput.addEventListener('change', async (e) => {
     const f = e.target.files[0];
     if (!f) return;
+    fileInput.value = '';
     const originalText = btnUpload.textContent;
-    btnUpload.textContent = '處理中...';
+    btnUpload.textContent = t('image.processing');
     try {
-        // Compress and process image
-        const processed = await processImageFileSpecV2(f, TARGET_IMAGE_MAX_BYTES);
+        const processed = await editPhoto(await loadPhoto(f), TARGET_IMAGE_MAX_BYTES);
+        if (!processed) {
+            btnUpload.textContent = originalText;
+            focusInput();
+            return;
+        }
         currentBase64Parts = processed;
-        btnUpload.textContent = '✅ 已就緒';
+        btnUpload.textContent = t('image.ready');
         setTimeout(() => btnUpload.textContent = originalText, 2000);
         focusInput();
     } catch (err) {
-        alert('圖片處理失敗: ' + err.message);
+        showToast(t('image.failed', { message: err.message }));
         btnUpload.textContent = originalText;
     }
-    fileInput.value = '';
 });
 
+/* Photo editor: crop to the card's photo frame, rotate, filter, then encode */
+
+const PHOTO_MAX_DIM = 1200;
+const PHOTO_MIN_DIM = 600;
+const PHOTO_PREVIEW_DIM = 480;
+const PHOTO_PAN_STEP = 0.05;
+// The EXIF block sits in the first segments of a JPEG
+const JPEG_HEAD_BYTES = 128 * 1024;
+// EXIF orientation -> quarter turns clockwise, and whether the raw pixels are mirrored first
+const EXIF_TRANSFORMS = {
+    2: { rotation: 0, flip: true },
+    3: { rotation: 2, flip: false },
+    4: { rotation: 2, flip: true },
+    5: { rotation: 3, flip: true },
+    6: { rotation: 1, flip: false },
+    7: { rotation: 1, flip: true },
+    8: { rotation: 3, flip: false }
+};
+// WebP fits more detail into the same bytes; browsers that can't encode it return a PNG from toBlob
+const PHOTO_TYPES = ['image/webp', 'image/jpeg'];
+
+function luma(d, i) { return 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2]; }
+
+// Per-pixel filters (ctx.filter isn't available in every browser); the canvas data clamps to 0-255
+const PHOTO_FILTERS = {
+    none: null,
+    mono(d, i) {
+        const l = (luma(d, i) - 128) * 1.1 + 128;
+        d[i] = d[i + 1] = d[i + 2] = l;
+    },
+    warm(d, i) {
+        d[i] = d[i] * 1.08 + 8;
+        d[i + 1] = d[i + 1] * 1.02 + 4;
+        d[i + 2] = d[i + 2] * 0.88;
+    },
+    faded(d, i) {
+        const l = luma(d, i);
+        for (let c = i; c < i + 3; c++) d[c] = (d[c] * 0.7 + l * 0.3) * 0.8 + 40;
+    }
+};
+
+const photoEditor = document.getElementById('photo-editor');
+const photoPreview = document.getElementById('photo-preview');
+const photoOptions = photoEditor.querySelectorAll('.photo-option');
+
+// The photo being edited: { bitmap, rotation, flip, crop, filter, panX, panY, frameAspect, geometry, resolve }
+let photoEdit = null;
+
 /**
- * Processes and compresses the image file (Removed watermark)
- * @param {File} file - The uploaded file
- * @param {number} targetMaxBytes - Target size in bytes
+ * Reads the EXIF orientation and pixel size of a JPEG from its first bytes.
+ * @param {ArrayBuffer} buffer
+ * @returns {{orientation: number, width: number, height: number}} width/height are 0 if not found
  */
-async function processImageFileSpecV2(file, targetMaxBytes) {
-    const img = await createImageBitmap(file);
-    const MAX_DIM = 1200;
-    const MIN_DIM = 600;
-    let w = img.width, h = img.height;
-    if (Math.max(w, h) > MAX_DIM) {
-        const ratio = MAX_DIM / Math.max(w, h);
-        w = Math.round(w * ratio); h = Math.round(h * ratio);
-    } else if (Math.max(w, h) < MIN_DIM) {
-        const ratio = MIN_DIM / Math.max(w, h);
-        w = Math.round(w * ratio); h = Math.round(h * ratio);
+function readJpegInfo(buffer) {
+    const info = { orientation: 1, width: 0, height: 0 };
+    const view = new DataView(buffer);
+    try {
+        if (view.getUint16(0) !== 0xFFD8) return info;
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00) break;
+            // APP1 starting with "Exif"
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+                info.orientation = readExifOrientation(view, offset + 10);
+            }
+            // Start of frame (SOF0-15 except DHT, JPG and DAC) holds the size
+            if (marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker)) {
+                info.height = view.getUint16(offset + 5);
+                info.width = view.getUint16(offset + 7);
+                break;
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (err) {
+        // Truncated or odd file: keep what was found so far
     }
-    let quality = 0.9;
-    let blob = await compressImage(img, w, h, quality);
-    while (blob.size > targetMaxBytes && quality >= 0.5) {
-        quality -= 0.1;
-        blob = await compressImage(img, w, h, quality);
+    return info;
+}
+
+function readExifOrientation(view, tiff) {
+    const little = view.getUint16(tiff) === 0x4949;
+    const ifd = tiff + view.getUint32(tiff + 4, little);
+    const count = view.getUint16(ifd, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little);
     }
-    if (blob.size > targetMaxBytes) throw new Error('圖片過大無法壓縮');
-    const dataUrl = await blobToDataURL(blob);
-    const idx = dataUrl.indexOf('base64,');
-    const header = dataUrl.slice(0, idx + 7);
-    const b64Body = dataUrl.slice(idx + 7);
-    const parts = splitBase64(b64Body, 3);
-    return { mime: blob.type, parts: parts, header: header, sizeBytes: blob.size };
+    return 1;
 }
 
 /**
- * Draws image to canvas without watermark
+ * Current browsers apply EXIF orientation while decoding, older ones return the
+ * raw pixels. A quarter turn shows in the decoded size; flips and half turns
+ * don't, so for those go by image-orientation support, which shipped with it.
  */
-function compressImage(imgBitmap, w, h, q) {
-    return new Promise(resolve => {
-        const cvs = document.createElement('canvas');
-        cvs.width = w; cvs.height = h;
-        const ctx = cvs.getContext('2d');
-        ctx.drawImage(imgBitmap, 0, 0, w, h);
-        cvs.toBlob(b => resolve(b), 'image/jpeg', q);
-    });
+function orientationApplied(info, bitmap) {
+    if (info.orientation >= 5 && info.width && info.width !== info.height) return bitmap.width === info.height;
+    return window.CSS && CSS.supports('image-orientation', 'from-image');
 }
 
-function blobToDataURL(blob) { return new Promise(res => { const fr = new FileReader(); fr.onload = () => res(fr.result); fr.readAsDataURL(blob); }); }
-function splitBase64(str, n) { const len = Math.ceil(str.length / n); const arr = []; for (let i = 0; i < n; i++) arr.push(str.slice(i * len, (i + 1) * len)); return arr; }
-
 /**
- * Print Button Handler - Creates a new card
+ * Decodes an uploaded file, upright.
+ * @param {File} file
+ * @returns {Promise<{bitmap: ImageBitmap, rotation: number, flip: boolean}>}
  */
-printBtn.addEventListener('click', () => {
-    const text = hiddenInput.value.trim();
-    const existingCards = document.querySelectorAll('.card');
+async function loadPhoto(file) {
+    const info = file.type === 'image/jpeg'
+        ? readJpegInfo(await file.slice(0, JPEG_HEAD_BYTES).arrayBuffer())
+        : { orientation: 1 };
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const transform = EXIF_TRANSFORMS[info.orientation];
+    if (!transform || orientationApplied(info, bitmap)) return { bitmap, rotation: 0, flip: false };
+    return { bitmap, rotation: transform.rotation, flip: transform.flip };
+}
 
-    // Check Card Limit
-    if (existingCards.length >= MAX_CARDS) { alert(`心情牆已滿 (${MAX_CARDS}張)！請先刪除舊卡片。`); return; }
+/**
+ * Width / height of the `.photo` frame for a card style, measured from a
+ * hidden card so it follows the stylesheet (and its phone sizes).
+ */
+function photoFrameAspect(style) {
+    const probe = createEl('div', `card ${style}`);
+    probe.appendChild(createEl('div', 'photo'));
+    probe.style.visibility = 'hidden';
+    probe.style.left = '-9999px';
+    document.body.appendChild(probe);
+    const rect = probe.querySelector('.photo').getBoundingClientRect();
+    probe.remove();
+    return rect.width && rect.height ? rect.width / rect.height : 1;
+}
 
-    if (!text && !currentBase64Parts) { alert('請寫點東西或上傳圖片'); focusInput(); return; }
+/**
+ * Draws the edited photo onto `canvas`: rotated, cropped around the pan point,
+ * scaled so its longer side is within [minDim, maxDim], filtered.
+ * @returns {{cropWidth: number, cropHeight: number, slackX: number, slackY: number}} crop in rotated source pixels
+ */
+function renderPhoto(canvas, edit, maxDim, minDim = 0) {
+    const { bitmap, rotation, flip } = edit;
+    const turned = rotation % 2 === 1;
+    const rw = turned ? bitmap.height : bitmap.width;
+    const rh = turned ? bitmap.width : bitmap.height;
+    const aspect = { frame: edit.frameAspect, square: 1 }[edit.crop] || rw / rh;
+    const cw = Math.min(rw, rh * aspect);
+    const ch = cw / aspect;
+    const cx = (rw - cw) * edit.panX;
+    const cy = (rh - ch) * edit.panY;
+    const longest = Math.max(cw, ch);
+    const scale = longest > maxDim ? maxDim / longest : longest < minDim ? minDim / longest : 1;
+
+    canvas.width = Math.round(cw * scale);
+    canvas.height = Math.round(ch * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.setTransform(scale, 0, 0, scale, -cx * scale, -cy * scale);
+    ctx.translate([0, rw, rw, 0][rotation], [0, 0, rh, rh][rotation]);
+    ctx.rotate(rotation * Math.PI / 2);
+    if (flip) {
+        ctx.translate(bitmap.width, 0);
+        ctx.scale(-1, 1);
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    const filter = PHOTO_FILTERS[edit.filter];
+    if (filter) {
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        for (let i = 0; i < image.data.length; i += 4) filter(image.data, i);
+        ctx.putImageData(image, 0, 0);
+    }
+    return { cropWidth: cw, cropHeight: ch, slackX: rw - cw, slackY: rh - ch };
+}
 
-    const cardId = 'card_' + Date.now();
-    const cardEl = document.createElement('div');
-    cardEl.className = `card ${currentStyle} printing`;
-    cardEl.dataset.cardId = cardId;
-    cardEl.dataset.mood = currentMood;
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
 
-    let imgHtml = '';
-    if (currentBase64Parts) {
-        const fullSrc = currentBase64Parts.header + currentBase64Parts.parts.join('');
-        imgHtml = `<img src="${fullSrc}">`;
-    } else {
-        imgHtml = window.PRESET_SVGS[Math.floor(Math.random() * window.PRESET_SVGS.length)];
+/**
+ * Encodes a canvas under the size limit, WebP first, lowering quality until it fits.
+ * @returns {Promise<{mime: string, parts: string[], header: string, sizeBytes: number}>}
+ */
+async function encodePhoto(canvas, targetMaxBytes) {
+    for (const type of PHOTO_TYPES) {
+        for (let quality = 0.9; quality >= 0.4; quality -= 0.1) {
+            const blob = await canvasToBlob(canvas, type, quality);
+            if (!blob || blob.type !== type) break;
+            if (blob.size > targetMaxBytes) continue;
+            const dataUrl = await blobToDataURL(blob);
+            const idx = dataUrl.indexOf('base64,');
+            const header = dataUrl.slice(0, idx + 7);
+            const parts = splitBase64(dataUrl.slice(idx + 7), 3);
+            return { mime: blob.type, parts: parts, header: header, sizeBytes: blob.size };
+        }
     }
+    throw new Error(t('image.tooLarge'));
+}
+
+function drawPhotoPreview() {
+    photoEdit.geometry = renderPhoto(photoPreview, photoEdit, PHOTO_PREVIEW_DIM);
+    photoOptions.forEach(btn => {
+        const pressed = btn.dataset.crop ? btn.dataset.crop === photoEdit.crop : btn.dataset.filter === photoEdit.filter;
+        btn.setAttribute('aria-pressed', String(pressed));
+    });
+}
 
-    cardEl.innerHTML = `
-    <div class="delete-btn" title="刪除">×</div>
-    <div class="save-btn" title="下載">⬇</div>
-    <div class="photo">${imgHtml}</div>
-    <div class="text">${text}</div>
-    <div class="mood-badge">${window.MOOD_EMOJIS[currentMood] || ''}</div>
-    <div class="date-badge">${new Date().toLocaleString('zh-TW', { hour12: false, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })}</div>
-  `;
+/**
+ * Opens the photo editor for a decoded photo.
+ * @returns {Promise<object|null>} Encoded photo as for saveCard, or null if cancelled
+ */
+function editPhoto(photo, targetMaxBytes) {
+    const edit = { ...photo, crop: 'frame', filter: 'none', panX: 0.5, panY: 0.5, frameAspect: photoFrameAspect(currentStyle) };
+    // No <dialog> support: keep the old behaviour and take the photo as is
+    if (typeof photoEditor.showModal !== 'function') {
+        return encodePhoto(renderPhoto(document.createElement('canvas'), { ...edit, crop: 'original' }, PHOTO_MAX_DIM, PHOTO_MIN_DIM), targetMaxBytes);
+    }
+    return new Promise((resolve, reject) => {
+        photoEdit = { ...edit, targetMaxBytes, resolve, reject };
+        drawPhotoPreview();
+        photoEditor.showModal();
+        photoPreview.focus();
+    });
+}
 
-    // Initial placement limits
-    // Simple random within container width (adjusted for card width)
-    const containerW = cardsLayer.clientWidth || window.innerWidth;
-    const tx = Math.random() * (containerW - 100) + 10;
+function finishPhotoEdit(result, error) {
+    const edit = photoEdit;
+    photoEdit = null;
+    if (photoEditor.open) photoEditor.close();
+    if (!edit) return;
+    edit.bitmap.close();
+    if (error) edit.reject(error);
+    else edit.resolve(result);
+}
 
-    // Random height (avoid bottom slightly but allowed to be low)
-    const ty = Math.random() * (window.innerHeight - 200) + 20;
-    const rot = Math.random() * 10 - 5;
+function panPhoto(dx, dy) {
+    photoEdit.panX = Math.min(1, Math.max(0, photoEdit.panX + dx));
+    photoEdit.panY = Math.min(1, Math.max(0, photoEdit.panY + dy));
+    drawPhotoPreview();
+}
 
-    cardsLayer.appendChild(cardEl);
+photoOptions.forEach(btn => btn.addEventListener('click', () => {
+    if (btn.dataset.crop) photoEdit.crop = btn.dataset.crop;
+    else photoEdit.filter = btn.dataset.filter;
+    drawPhotoPreview();
+}));
 
-    setTimeout(() => {
-        cardEl.classList.remove('printing');
-        cardEl.style.left = tx + 'px';
-        cardEl.style.top = ty + 'px';
-        cardEl.style.transform = `scale(0.25) rotate(${rot}deg)`;
-        setupCardInteraction(cardEl, cardId, tx, ty, rot);
-        saveCard(cardEl, text, currentBase64Parts, tx, ty, rot);
-        currentBase64Parts = null;
-        hiddenInput.value = '';
-        typedText.innerHTML = '<span style="color:#999">點此輸入心情...</span>';
-        currentMood = 3;
-        moodButtons.forEach(b => b.classList.remove('active'));
-        moodButtons[2].classList.add('active'); // Reset to neutral
-    }, 2500);
+document.getElementById('photo-rotate').addEventListener('click', () => {
+    photoEdit.rotation = (photoEdit.rotation + 1) % 4;
+    drawPhotoPreview();
 });
 
-async function saveCard(cardEl, text, parts, x, y, r) {
-    const cardData = {
-        id: cardEl.dataset.cardId,
-        text: text,
-        mood: currentMood,
-        style: currentStyle,
-        header: parts ? parts.header : '',
-        parts: parts ? parts.parts : [],
-        x: Math.round(x),
-        y: Math.round(y),
-        r: Math.round(r),
-        createdAt: new Date().toISOString()
-    };
+document.getElementById('photo-cancel').addEventListener('click', () => finishPhotoEdit(null));
 
+document.getElementById('photo-use').addEventListener('click', async () => {
+    if (!photoEdit) return;
+    const canvas = document.createElement('canvas');
+    renderPhoto(canvas, photoEdit, PHOTO_MAX_DIM, PHOTO_MIN_DIM);
     try {
-        await fetch(API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(cardData)
-        });
-    } catch (e) {
-        console.error('Save failed', e);
+        finishPhotoEdit(await encodePhoto(canvas, photoEdit.targetMaxBytes));
+    } catch (err) {
+        finishPhotoEdit(null, err);
     }
-}
+});
 
-async function loadCards() {
-    try {
-        const res = await fetch(API_URL);
-        const cards = await res.json();
-        cards.forEach(cardData => {
-            renderCard(cardData);
-        });
-    } catch (e) {
-        console.error('Load failed', e);
-    }
-}
+// Escape closes the dialog by itself; treat it (and any other close) as cancel
+photoEditor.addEventListener('close', () => finishPhotoEdit(null));
+
+// Drag the preview (or use the arrow keys) to move the crop over the photo
+photoPreview.addEventListener('pointerdown', (e) => {
+    photoPreview.setPointerCapture(e.pointerId);
+    let lastX = e.clientX, lastY = e.clientY;
+    const onMove = (ev) => {
+        const { cropWidth, cropHeight, slackX, slackY } = photoEdit.geometry;
+        const rect = photoPreview.getBoundingClientRect();
+        // Moving the photo right moves the crop left
+        panPhoto(
+            slackX ? -(ev.clientX - lastX) * cropWidth / rect.width / slackX : 0,
+            slackY ? -(ev.clientY - lastY) * cropHeight / rect.height / slackY : 0
+        );
+        lastX = ev.clientX; lastY = ev.clientY;
+    };
+    const onUp = () => {
+        photoPreview.removeEventListener('pointermove', onMove);
+        photoPreview.removeEventListener('pointerup', onUp);
+        photoPreview.removeEventListener('pointercancel', onUp);
+    };
+    photoPreview.addEventListener('pointermove', onMove);
+    photoPreview.addEventListener('pointerup', onUp);
+    photoPreview.addEventListener('pointercancel', onUp);
+});
 
-function renderCard(data) {
-    const cardEl = document.createElement('div');
-    cardEl.className = `card ${data.style || 'polaroid'}`;
-    cardEl.dataset.cardId = data.id;
-    cardEl.dataset.mood = data.mood;
+photoPreview.addEventListener('keydown', (e) => {
+    const move = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+    if (!move) return;
+    e.preventDefault();
+    panPhoto(move[0] * PHOTO_PAN_STEP, move[1] * PHOTO_PAN_STEP);
+});
 
-    let imgHtml = '';
-    if (data.parts && data.parts.length > 0) {
-        const fullSrc = (data.header || '') + data.parts.join('');
-        imgHtml = `<img src="${fullSrc}">`;
-    } else {
-        // Fallback or presets if no image
-        imgHtml = window.PRESET_SVGS[Math.floor(Math.random() * window.PRESET_SVGS.length)];
-    }
+/* Doodle pad: a sketch drawn in the browser becomes the card image */
 
-    cardEl.innerHTML = `
-    <div class="delete-btn" title="刪除">×</div>
-    <div class="save-btn" title="下載">⬇</div>
-    <div class="photo">${imgHtml}</div>
-    <div class="text">${data.text}</div>
-    <div class="mood-badge">${window.MOOD_EMOJIS[data.mood] || ''}</div>
-    <div class="date-badge">${data.createdAt ? new Date(data.createdAt).toLocaleString('zh-TW', { hour12: false, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }) : ''}</div>
-  `;
+const DOODLE_WIDTH = 600;
+const DOODLE_BACKGROUND = '#ffffff';
+const DOODLE_PEN_WIDTH = 6;
+const DOODLE_ERASER_WIDTH = 28;
 
-    const safeR = (data.r === undefined || data.r === null || data.r === '') ? (Math.random() * 10 - 5) : data.r;
+const btnDoodle = document.getElementById('btn-doodle');
+const doodlePad = document.getElementById('doodle-pad');
+const doodleCanvas = document.getElementById('doodle-canvas');
+const doodleColors = doodlePad.querySelectorAll('[data-color]');
+const doodleUndoBtn = document.getElementById('doodle-undo');
+const doodleUseBtn = document.getElementById('doodle-use');
 
-    cardEl.style.left = data.x + 'px';
-    cardEl.style.top = data.y + 'px';
-    cardEl.style.transform = `scale(0.25) rotate(${safeR}deg)`;
+// The open pad: { strokes: [{ color, width, points: [[x, y], ...] }], color, resolve }
+let doodle = null;
 
-    cardsLayer.appendChild(cardEl);
-    setupCardInteraction(cardEl, data.id, data.x, data.y, safeR);
+if (typeof doodlePad.showModal !== 'function') btnDoodle.hidden = true;
+
+btnDoodle.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const originalText = btnDoodle.textContent;
+    try {
+        const canvas = await openDoodlePad();
+        if (!canvas) {
+            focusInput();
+            return;
+        }
+        btnDoodle.textContent = t('image.processing');
+        currentBase64Parts = await encodePhoto(canvas, TARGET_IMAGE_MAX_BYTES);
+        btnDoodle.textContent = t('image.ready');
+        setTimeout(() => btnDoodle.textContent = originalText, 2000);
+        focusInput();
+    } catch (err) {
+        showToast(t('image.failed', { message: err.message }));
+        btnDoodle.textContent = originalText;
+    }
+});
+
+/**
+ * Opens the doodle pad, sized like the photo frame of the selected style.
+ * @returns {Promise<HTMLCanvasElement|null>} The drawing, or null if cancelled
+ */
+function openDoodlePad() {
+    doodleCanvas.width = DOODLE_WIDTH;
+    doodleCanvas.height = Math.round(DOODLE_WIDTH / photoFrameAspect(currentStyle));
+    return new Promise(resolve => {
+        doodle = { strokes: [], color: doodleColors[0].dataset.color, resolve };
+        redrawDoodle();
+        doodlePad.showModal();
+        doodleColors[0].focus();
+    });
 }
 
-function setupCardInteraction(cardEl, id, initialX, initialY, initialR) {
-    let startX = 0, startY = 0, initialLeft = 0, initialTop = 0;
-    let isDragging = false;
-    let x = initialX, y = initialY;
+function closeDoodlePad(canvas) {
+    const pad = doodle;
+    doodle = null;
+    if (doodlePad.open) doodlePad.close();
+    if (pad) pad.resolve(canvas);
+}
 
-    cardEl.onmousedown = dragStart;
-    cardEl.ontouchstart = dragStart;
+function strokeStyle(color) {
+    return color === 'eraser'
+        ? { color: DOODLE_BACKGROUND, width: DOODLE_ERASER_WIDTH }
+        : { color, width: DOODLE_PEN_WIDTH };
+}
 
-    function dragStart(e) {
-        if (e.target.classList.contains('delete-btn') || e.target.classList.contains('save-btn')) return;
+function drawStroke(ctx, stroke, from = 0) {
+    const points = stroke.points;
+    ctx.strokeStyle = stroke.color;
+    ctx.lineWidth = stroke.width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    const start = points[Math.max(0, from - 1)];
+    ctx.moveTo(start[0], start[1]);
+    // A tap with no movement still leaves a dot
+    if (points.length === 1) ctx.lineTo(start[0] + 0.1, start[1]);
+    for (let i = Math.max(1, from); i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+    ctx.stroke();
+}
 
-        // Bring to front only if needed (prevents dblclick interference)
-        if (cardsLayer.lastElementChild !== cardEl) {
-            cardsLayer.appendChild(cardEl);
-        }
+function redrawDoodle() {
+    const ctx = doodleCanvas.getContext('2d');
+    ctx.fillStyle = DOODLE_BACKGROUND;
+    ctx.fillRect(0, 0, doodleCanvas.width, doodleCanvas.height);
+    doodle.strokes.forEach(stroke => drawStroke(ctx, stroke));
+    updateDoodleControls();
+}
 
-        isDragging = true;
-        const evt = e.touches ? e.touches[0] : e;
-        startX = evt.clientX;
-        startY = evt.clientY;
-        initialLeft = parseFloat(cardEl.style.left) || 0;
-        initialTop = parseFloat(cardEl.style.top) || 0;
-        cardEl.style.transition = 'none';
+function updateDoodleControls() {
+    doodleColors.forEach(btn => btn.setAttribute('aria-pressed', String(btn.dataset.color === doodle.color)));
+    doodleUndoBtn.disabled = doodle.strokes.length === 0;
+    doodleUseBtn.disabled = doodle.strokes.length === 0;
+}
 
-        document.onmousemove = dragMove;
-        document.onmouseup = dragEnd;
-        document.ontouchmove = dragMove;
-        document.ontouchend = dragEnd;
-    }
+function undoDoodleStroke() {
+    if (!doodle || doodle.strokes.length === 0) return;
+    doodle.strokes.pop();
+    redrawDoodle();
+}
 
-    function dragMove(e) {
-        if (!isDragging) return;
-        const evt = e.touches ? e.touches[0] : e;
-        const dx = evt.clientX - startX;
-        const dy = evt.clientY - startY;
-        x = initialLeft + dx;
-        y = initialTop + dy;
+// Pointer position in canvas pixels (the canvas is scaled down to fit the dialog)
+function doodlePoint(e) {
+    const rect = doodleCanvas.getBoundingClientRect();
+    return [
+        (e.clientX - rect.left) * doodleCanvas.width / rect.width,
+        (e.clientY - rect.top) * doodleCanvas.height / rect.height
+    ];
+}
+
+doodleCanvas.addEventListener('pointerdown', (e) => {
+    if (!doodle) return;
+    doodleCanvas.setPointerCapture(e.pointerId);
+    const ctx = doodleCanvas.getContext('2d');
+    const stroke = { ...strokeStyle(doodle.color), points: [doodlePoint(e)] };
+    doodle.strokes.push(stroke);
+    drawStroke(ctx, stroke);
+    updateDoodleControls();
+
+    const onMove = (ev) => {
+        stroke.points.push(doodlePoint(ev));
+        drawStroke(ctx, stroke, stroke.points.length - 1);
+    };
+    const onUp = () => {
+        doodleCanvas.removeEventListener('pointermove', onMove);
+        doodleCanvas.removeEventListener('pointerup', onUp);
+        doodleCanvas.removeEventListener('pointercancel', onUp);
+    };
+    doodleCanvas.addEventListener('pointermove', onMove);
+    doodleCanvas.addEventListener('pointerup', onUp);
+    doodleCanvas.addEventListener('pointercancel', onUp);
+});
 
-        // Container-relative constraints
-        // Since #mood-wall has a fixed max-width and is position:relative, 
-        // 0 is the left edge of the wall.
-        const containerW = cardsLayer.clientWidth;
+doodleColors.forEach(btn => btn.addEventListener('click', () => {
+    doodle.color = btn.dataset.color;
+    updateDoodleControls();
+}));
 
-        // Visual width = 320px * 0.25 = 80px
-        // With transform-origin: top left, 'left' corresponds to the visual left edge.
-        // So minX is simply 0 (or slight margin).
-        const minX = 0;
+doodleUndoBtn.addEventListener('click', undoDoodleStroke);
 
-        // maxX is container width minus the visual width of the card
-        const maxX = containerW - 80;
+document.getElementById('doodle-clear').addEventListener('click', () => {
+    doodle.strokes = [];
+    redrawDoodle();
+});
 
-        if (x < minX) x = minX;
-        if (x > maxX) x = maxX;
+document.getElementById('doodle-cancel').addEventListener('click', () => closeDoodlePad(null));
+doodleUseBtn.addEventListener('click', () => closeDoodlePad(doodleCanvas));
 
-        // Y-axis constraints (Visual height roughly 410 * 0.25 = 102.5px)
-        // Y-axis constraints (Visual height roughly 410 * 0.25 = 102.5px)
-        const containerH = cardsLayer.clientHeight;
+// Ctrl/Cmd+Z takes back the last stroke while the pad is open
+doodlePad.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        undoDoodleStroke();
+    }
+});
 
-        const minY = 0;
-        const maxY = containerH - 110;
+// Escape closes the dialog by itself; treat it (and any other close) as cancel
+doodlePad.addEventListener('close', () => closeDoodlePad(null));
 
-        if (y < minY) y = minY;
-        if (y > maxY) y = maxY;
+function blobToDataURL(blob) { return new Promise(res => { const fr = new FileReader(); fr.onload = () => res(fr.result); fr.readAsDataURL(blob); }); }
+function splitBase64(str, n) { const len = Math.ceil(str.length / n); const arr = []; for (let i = 0; i < n; i++) arr.push(str.slice(i * len, (i + 1) * len)); return arr; }
 
-        cardEl.style.left = x + 'px';
-        cardEl.style.top = y + 'px';
+/**
+ * Print Button Handler - Creates a new card
+ */
+printBtn.addEventListener('click', async () => {
+    if (editingCard) {
+        reprintEditedCard();
+        return;
     }
+    const text = hiddenInput.value.trim();
+    const existingCards = cardsLayer.querySelectorAll('.card');
+    const isFull = existingCards.length >= MAX_CARDS;
 
-    function dragEnd() {
-        if (!isDragging) return;
-        isDragging = false;
-        cardEl.style.transition = 'transform 0.1s';
-        document.onmousemove = null;
-        document.onmouseup = null;
-        document.ontouchmove = null;
-        document.ontouchend = null;
+    // Check Card Limit
+    if (isFull && !ARCHIVE_MODE) { showToast(t('print.full', { max: MAX_CARDS })); return; }
+
+    if (!text && !currentBase64Parts) { showToast(t('print.empty')); focusInput(); return; }
 
-        // Save new position
-        fetch(`${API_URL}/${id}`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ x: Math.round(x), y: Math.round(y), r: initialR })
-        }).catch(err => console.error(err));
+    // Archive mode: make room by archiving the oldest card or one the user picks
+    let archiveChoice = null;
+    if (isFull) {
+        archiveChoice = await chooseCardToArchive();
+        if (!archiveChoice) return;
     }
 
-    // Delete
-    cardEl.querySelector('.delete-btn').addEventListener('click', async (e) => {
-        e.stopPropagation();
-        if (confirm('確定刪除這張卡片嗎？')) {
-            try {
-                await fetch(`${API_URL}/${id}`, { method: 'DELETE' });
-                cardEl.remove();
-            } catch (err) {
-                alert('刪除失敗');
-            }
-        }
+    const cardId = 'card_' + Date.now();
+    const cardEl = buildCardElement({
+        id: cardId,
+        text: text,
+        mood: currentMood,
+        style: currentStyle,
+        header: currentBase64Parts ? currentBase64Parts.header : '',
+        parts: currentBase64Parts ? currentBase64Parts.parts : [],
+        preset: currentBase64Parts ? undefined : Math.floor(Math.random() * window.PRESET_SVGS.length),
+        createdAt: new Date().toISOString(),
+        owner: session.ownerId
     });
+    cardEl.classList.add('printing');
 
-    // Expand
-    cardEl.addEventListener('dblclick', () => {
-        cardEl.classList.add('expanded');
-        overlay.classList.add('active');
-    });
+    const rot = Math.random() * 10 - 5;
 
-    // Download/Save Image
-    cardEl.querySelector('.save-btn').addEventListener('click', async (e) => {
-        e.stopPropagation();
-        let clone;
-        try {
-            // Clone strategy to avoid visual glitches and cropping
-            clone = cardEl.cloneNode(true);
+    cardsLayer.appendChild(cardEl);
 
-            // Clean up clone styles for capture
-            clone.classList.remove('printing', 'expanded');
-            clone.style.position = 'fixed';
-            clone.style.left = '-9999px'; // Off-screen
-            clone.style.top = '0';
-            clone.style.transform = 'none';
-            clone.style.transition = 'none';
-            clone.style.zIndex = '99999';
-            clone.style.margin = '0';
+    setTimeout(() => {
+        // Free space is looked up once the card lands, so cards printed meanwhile count
+        const spot = findFreeSpot(archiveChoice && archiveChoice.cardEl);
+        cardEl.dataset.x = spot.x;
+        cardEl.dataset.y = spot.y;
+        cardEl.classList.remove('printing');
+        placeCardEl(cardEl, toPixels(spot));
+        cardEl.style.transform = `scale(0.25) rotate(${rot}deg)`;
+        setupCardInteraction(cardEl, cardId, rot);
+        if (arrangeMode !== 'free') scheduleArrange();
+        saveCard(cardEl, text, currentBase64Parts, spot.x, spot.y, rot, archiveChoice);
+        resetTypewriter();
+    }, 2500);
+});
 
-            // Remove control buttons from clone
-            clone.querySelectorAll('.delete-btn, .save-btn').forEach(b => b.remove());
+function resetTypewriter() {
+    currentBase64Parts = null;
+    hiddenInput.value = '';
+    typedText.replaceChildren(createEl('span', '', t('typewriter.placeholder')));
+    typedText.firstChild.style.color = '#999';
+    selectMood(3); // Reset to neutral
+}
 
-            document.body.appendChild(clone);
+/* Editing a printed card: it goes back into the typewriter, and printing
+   updates it where it is on the wall. Whatever was being typed before is
+   put back afterwards. */
+const cancelEditBtn = document.getElementById('btn-cancel-edit');
+let editingCard = null; // { cardEl, draft }
+
+function startEditing(cardEl) {
+    if (editingCard) finishEditing();
+    closeExpandedCards();
+    editingCard = {
+        cardEl,
+        draft: { text: hiddenInput.value, mood: currentMood, style: currentStyle, image: currentBase64Parts }
+    };
 
-            // Wait a tick for DOM to update
-            await new Promise(resolve => setTimeout(resolve, 50));
+    hiddenInput.value = cardEl.dataset.text || '';
+    applyInputLimits();
+    selectMood(Number(cardEl.dataset.mood) || 3);
+    styleSelect.value = cardEl.dataset.style;
+    currentStyle = styleSelect.value;
+    // The card keeps its photo unless a new one is uploaded
+    currentBase64Parts = null;
+
+    cardEl.classList.add('being-edited');
+    paperDiv.classList.add('editing');
+    printBtn.textContent = t('print.update');
+    cancelEditBtn.hidden = false;
+    focusInput();
+}
 
-            const canvas = await html2canvas(clone, {
-                scale: 2,
+function finishEditing() {
+    const { cardEl, draft } = editingCard;
+    editingCard = null;
+    cardEl.classList.remove('being-edited');
+    paperDiv.classList.remove('editing');
+    printBtn.textContent = t('print.button');
+    cancelEditBtn.hidden = true;
+
+    resetTypewriter();
+    if (draft.text) {
+        hiddenInput.value = draft.text;
+        applyInputLimits();
+    }
+    selectMood(draft.mood);
+    styleSelect.value = draft.style;
+    currentStyle = draft.style;
+    currentBase64Parts = draft.image;
+}
+
+cancelEditBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (editingCard) finishEditing();
+    focusInput();
+});
+
+/* Typewriter draft kept across the reload of a language switch (this tab only) */
+const DRAFT_STORAGE_KEY = 'moodwall.draft';
+
+function saveDraft() {
+    const draft = {
+        text: hiddenInput.value,
+        mood: currentMood,
+        style: currentStyle,
+        image: currentBase64Parts,
+        editingId: editingCard ? editingCard.cardEl.dataset.cardId : null,
+        // What was typed before the edit started, given back when it ends
+        before: editingCard ? editingCard.draft : null
+    };
+    try {
+        sessionStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+    } catch (e) {
+        // Storage full: keep the text at least
+        const textOnly = (d) => d && { ...d, image: null };
+        sessionStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ ...textOnly(draft), before: textOnly(draft.before) }));
+    }
+}
+
+function restoreDraft() {
+    const saved = sessionStorage.getItem(DRAFT_STORAGE_KEY);
+    if (!saved) return;
+    sessionStorage.removeItem(DRAFT_STORAGE_KEY);
+    const draft = JSON.parse(saved);
+
+    if (draft.editingId) {
+        // The pre-edit draft goes in first, so startEditing keeps it for later
+        applyDraft(draft.before);
+        const cardEl = findCardEl(draft.editingId);
+        if (!cardEl || cardEl.classList.contains('locked')) return;
+        startEditing(cardEl);
+    }
+    applyDraft(draft);
+}
+
+function applyDraft({ text, mood, style, image }) {
+    hiddenInput.value = text || '';
+    applyInputLimits();
+    selectMood(mood);
+    if (Array.from(styleSelect.options).some(o => o.value === style)) {
+        styleSelect.value = style;
+        currentStyle = style;
+    }
+    currentBase64Parts = image || null;
+}
+
+/**
+ * Print while editing: the card on the wall takes the typewriter's content at
+ * once (optimistic) and the change is PATCHed.
+ */
+function reprintEditedCard() {
+    const { cardEl } = editingCard;
+    const text = hiddenInput.value.trim();
+    const hasPhoto = !!currentBase64Parts || !!cardEl.querySelector('.photo img');
+    if (!text && !hasPhoto) { showToast(t('print.empty')); focusInput(); return; }
+    if (!cardEl.isConnected) {
+        showToast(t('edit.gone'));
+        finishEditing();
+        return;
+    }
+
+    const id = cardEl.dataset.cardId;
+    const before = cardContent(cardEl);
+    const changes = { text, mood: currentMood, style: currentStyle };
+    if (currentBase64Parts) {
+        changes.header = currentBase64Parts.header;
+        changes.parts = currentBase64Parts.parts;
+    }
+    finishEditing();
+
+    renderCardContent(cardEl, { ...before, ...changes, updatedAt: new Date().toISOString() });
+    cardEl.classList.remove('reprinting');
+    void cardEl.offsetWidth; // Restart the animation
+    cardEl.classList.add('reprinting');
+    submitEdit(cardEl, id, changes, before);
+}
+
+/**
+ * PATCHes an edited card; on failure it goes back to what it said before.
+ */
+async function submitEdit(cardEl, id, changes, before) {
+    setSyncFailed(cardEl, false);
+    try {
+        const result = await apiRequest(`${API_URL}/${id}`, { method: 'PATCH', body: changes });
+        if (result.queued) {
+            setPendingSync(cardEl, true);
+            return;
+        }
+        renderCardContent(cardEl, result);
+        // A new photo can't be taken back, so only text / mood / style edits are undoable
+        if (!changes.header) {
+            recordAction({ type: 'edit', id, from: { text: before.text, mood: before.mood, style: before.style }, to: changes });
+        }
+    } catch (err) {
+        renderCardContent(cardEl, before);
+        showToast(t('edit.failed', { message: err.message }), err.retryable ? {
+            action: {
+                label: t('action.retry'), onClick: () => {
+                    renderCardContent(cardEl, { ...before, ...changes });
+                    submitEdit(cardEl, id, changes, before);
+                }
+            }
+        } : {});
+    }
+}
+
+async function saveCard(cardEl, text, parts, x, y, r, archiveChoice) {
+    const cardData = {
+        id: cardEl.dataset.cardId,
+        text: text,
+        mood: currentMood,
+        style: currentStyle,
+        header: parts ? parts.header : '',
+        parts: parts ? parts.parts : [],
+        x: x,
+        y: y,
+        r: Math.round(r)
+    };
+    if (cardEl.dataset.preset) cardData.preset = Number(cardEl.dataset.preset);
+    // Without an explicit pick the server archives the oldest card itself
+    if (archiveChoice && archiveChoice.picked) cardData.archiveId = archiveChoice.cardEl.dataset.cardId;
+
+    submitCard(cardEl, cardData, archiveChoice);
+}
+
+/**
+ * POSTs a printed card. The card is already on the wall (optimistic);
+ * on failure it is either taken back off (the server will never accept it)
+ * or marked as unsaved with a retry.
+ */
+async function submitCard(cardEl, cardData, archiveChoice) {
+    setSyncFailed(cardEl, false);
+    try {
+        const result = await apiRequest(API_URL, { method: 'POST', body: cardData });
+        if (result.queued) {
+            setPendingSync(cardEl, true);
+            return;
+        }
+        if (archiveChoice) archiveChoice.cardEl.remove();
+        // The server dates the card; the local clock may be off
+        if (result.createdAt) cardEl.dataset.createdAt = result.createdAt;
+        recordAction({ type: 'print', id: cardData.id });
+    } catch (err) {
+        if (err.retryable) {
+            setSyncFailed(cardEl, true);
+            showToast(t('card.saveFailed', { message: err.message }), {
+                sticky: true,
+                action: { label: t('action.retry'), onClick: () => submitCard(cardEl, cardData, archiveChoice) }
+            });
+            return;
+        }
+        // Roll back, but give the text and photo back so nothing typed is lost
+        cardEl.remove();
+        if (!hiddenInput.value) {
+            hiddenInput.value = cardData.text;
+            applyInputLimits();
+        }
+        if (!currentBase64Parts && cardData.parts.length > 0) {
+            currentBase64Parts = { header: cardData.header, parts: cardData.parts };
+        }
+        showToast(t('card.saveFailed', { message: err.message }));
+    }
+}
+
+/**
+ * PATCHes a dragged card's position; on failure the card slides back.
+ * @param {{x: number, y: number, r: number}} from - Position before the drag (wall fractions)
+ * @param {{x: number, y: number, r: number}} to - New position (wall fractions)
+ */
+async function persistMove(cardEl, id, from, to) {
+    try {
+        const result = await apiRequest(`${API_URL}/${id}`, { method: 'PATCH', body: to });
+        if (result.queued) setPendingSync(cardEl, true);
+        recordAction({ type: 'move', id, from, to });
+    } catch (err) {
+        animateCardTo(cardEl, from);
+        showToast(t('card.moveFailed', { message: err.message }), err.retryable ? {
+            action: {
+                label: t('action.retry'), onClick: () => {
+                    animateCardTo(cardEl, to);
+                    persistMove(cardEl, id, from, to);
+                }
+            }
+        } : {});
+    }
+}
+
+/**
+ * Deletes a card: it fades out at once and comes back if the server refuses.
+ */
+async function deleteCard(cardEl, id) {
+    cardEl.classList.add('removing');
+    try {
+        await apiRequest(`${API_URL}/${id}`, { method: 'DELETE' });
+        cardEl.remove();
+        recordAction({ type: 'delete', id });
+    } catch (err) {
+        // Already gone is as good as deleted
+        if (err.status === 404) {
+            cardEl.remove();
+            return;
+        }
+        cardEl.classList.remove('removing');
+        showToast(t('card.deleteFailed', { message: err.message }), err.retryable ? {
+            action: { label: t('action.retry'), onClick: () => deleteCard(cardEl, id) }
+        } : {});
+    }
+}
+
+/**
+ * fetch wrapper for API calls (card writes and the panels' reads).
+ * @returns {Promise<object>} Response body, or { queued: true } when the service worker queued it offline
+ * @throws {Error} With the server's error message, .status (0 = network) and .retryable
+ *   (plus .retryAfter in seconds when rate limited)
+ */
+async function apiRequest(url, { method = 'GET', body } = {}) {
+    let res;
+    try {
+        res = await fetch(url, {
+            method,
+            headers: authHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+            body: body ? JSON.stringify(body) : undefined
+        });
+    } catch (e) {
+        throw requestError(t('network.offline'), 0);
+    }
+    if (res.headers.get('X-Queued')) return { queued: true };
+
+    if (res.status === 429) {
+        const seconds = parseInt(res.headers.get('Retry-After')) || 1;
+        const err = requestError(t('network.rateLimited', { seconds }), 429);
+        err.retryAfter = seconds;
+        throw err;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw requestError(apiErrorMessage(data, res.status), res.status);
+    return data;
+}
+
+/**
+ * An API error body ({ error, code, params }) in the UI language; codes the
+ * catalogue doesn't know yet fall back to the server's English message.
+ */
+function apiErrorMessage(data, status) {
+    if (data.code && hasTranslation(`errors.${data.code}`)) return t(`errors.${data.code}`, data.params);
+    return data.error || `HTTP ${status}`;
+}
+
+function requestError(message, status) {
+    const err = new Error(message);
+    err.status = status;
+    // Network trouble and server-side failures may pass on a retry; other 4xx answers won't
+    err.retryable = status === 0 || status === 408 || status === 429 || status >= 500;
+    return err;
+}
+
+function setSyncFailed(cardEl, failed) {
+    cardEl.classList.toggle('sync-failed', failed);
+}
+
+/**
+ * Slides a card to a stored position (remote moves, rolled-back drags). On an
+ * arranged wall the position is only remembered for the free layout.
+ * @param {{x: number, y: number}} pos - Wall fractions
+ */
+function animateCardTo(cardEl, pos) {
+    cardEl.dataset.x = pos.x;
+    cardEl.dataset.y = pos.y;
+    if (arrangeMode === 'free') placeCardEl(cardEl, toPixels(pos), true);
+}
+
+/**
+ * Non-blocking message at the top of the screen.
+ * @param {string} message
+ * @param {{action?: {label: string, onClick: Function}, sticky?: boolean, duration?: number}} [options]
+ */
+function showToast(message, { action, sticky = false, duration = 4000 } = {}) {
+    const toast = createEl('div', 'toast');
+    toast.appendChild(createEl('span', 'toast-message', message));
+    const dismiss = () => toast.remove();
+
+    if (action) {
+        const btn = createEl('button', 'toast-action', action.label);
+        btn.addEventListener('click', () => { dismiss(); action.onClick(); });
+        toast.appendChild(btn);
+    }
+    const close = createEl('button', 'toast-close', '×');
+    close.title = t('panel.close');
+    close.addEventListener('click', dismiss);
+    toast.appendChild(close);
+
+    toastContainer.appendChild(toast);
+    if (!sticky) setTimeout(dismiss, action ? duration * 2 : duration);
+    return dismiss;
+}
+
+/* Undo / redo of this visitor's own wall edits (print, move, delete) */
+const HISTORY_LIMIT = 50;
+const undoStack = [];
+const redoStack = [];
+let historyBusy = false;
+let dismissUndoToast = null;
+
+/**
+ * Remembers a saved edit. Moves and deletes also get an on-screen undo button,
+ * since they are easy to do by accident.
+ * @param {{type: 'print'|'move'|'delete'|'edit', id: string, from?: object, to?: object}} action
+ */
+function recordAction(action) {
+    undoStack.push({ ...action, at: Date.now() });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack.length = 0;
+    if (action.type === 'print') return;
+
+    closeUndoToast();
+    dismissUndoToast = showToast(t('history.recorded', { action: t(`history.${action.type}`) }), { action: { label: t('action.undo'), onClick: undo } });
+}
+
+function closeUndoToast() {
+    if (dismissUndoToast) dismissUndoToast();
+    dismissUndoToast = null;
+}
+
+function undo() { return stepHistory(undoStack, redoStack, true); }
+function redo() { return stepHistory(redoStack, undoStack, false); }
+
+/**
+ * Takes the newest entry off `from`, reverts it (undo) or applies it again
+ * (redo), and puts it on `to` if the server went along.
+ */
+async function stepHistory(from, to, reverse) {
+    if (historyBusy || from.length === 0) return;
+    closeUndoToast();
+    const action = from.pop();
+
+    // Bringing a card back only works while the server still keeps it
+    if (needsRestore(action, reverse) && Date.now() - action.at > UNDO_MS) {
+        showToast(t(reverse ? 'history.undoExpired' : 'history.redoExpired'));
+        return;
+    }
+
+    historyBusy = true;
+    try {
+        await applyAction(action, reverse);
+        to.push({ ...action, at: Date.now() });
+        showToast(t(reverse ? 'history.undone' : 'history.redone', { action: t(`history.${action.type}`) }), { duration: 2000 });
+    } catch (err) {
+        if (err.status === 410) showToast(t(reverse ? 'history.undoExpired' : 'history.redoExpired'));
+        else showToast(t(reverse ? 'history.undoFailed' : 'history.redoFailed', { message: err.message }));
+    } finally {
+        historyBusy = false;
+    }
+}
+
+function needsRestore(action, reverse) {
+    return (action.type === 'delete' && reverse) || (action.type === 'print' && !reverse);
+}
+
+async function applyAction(action, reverse) {
+    const url = `${API_URL}/${encodeURIComponent(action.id)}`;
+    const cardEl = findCardEl(action.id);
+
+    if (action.type === 'move') {
+        if (!cardEl) throw new Error(t('card.gone'));
+        const target = reverse ? action.from : action.to;
+        await apiRequest(url, { method: 'PATCH', body: target });
+        animateCardTo(cardEl, target);
+        return;
+    }
+
+    if (action.type === 'edit') {
+        if (!cardEl) throw new Error(t('card.gone'));
+        const card = await apiRequest(url, { method: 'PATCH', body: reverse ? action.from : action.to });
+        renderCardContent(cardEl, card);
+        return;
+    }
+
+    if (needsRestore(action, reverse)) {
+        const card = await apiRequest(`${url}/restore`, { method: 'POST' });
+        if (!findCardEl(card.id)) renderCard(card);
+        return;
+    }
+
+    await apiRequest(url, { method: 'DELETE' });
+    if (cardEl) {
+        if (cardEl.classList.contains('expanded')) overlay.classList.remove('active');
+        cardEl.remove();
+    }
+}
+
+const archiveChoiceDialog = document.getElementById('archive-choice');
+const archiveChoiceText = document.getElementById('archive-choice-text');
+
+/**
+ * The wall is full in archive mode: asks whether to archive the oldest card,
+ * pick one on the wall, or not print at all.
+ * @returns {Promise<{cardEl: HTMLElement, picked: boolean}|null>} null if cancelled
+ */
+function chooseCardToArchive() {
+    const cards = Array.from(cardsLayer.querySelectorAll('.card:not(.printing)'));
+    const oldest = cards.reduce((a, b) => (!a || (b.dataset.createdAt || '') < (a.dataset.createdAt || '')) ? b : a, null);
+    const oldestChoice = oldest ? { cardEl: oldest, picked: false } : null;
+
+    // No <dialog> support: only the oldest card can be archived
+    if (typeof archiveChoiceDialog.showModal !== 'function') {
+        return Promise.resolve(confirm(t('print.archiveConfirm', { max: MAX_CARDS })) ? oldestChoice : null);
+    }
+
+    return new Promise(resolve => {
+        archiveChoiceText.textContent = t('print.archiveText', { max: MAX_CARDS });
+        // Set by the button that closed the dialog; Escape leaves it empty
+        archiveChoiceDialog.returnValue = '';
+        archiveChoiceDialog.addEventListener('close', () => {
+            const choice = archiveChoiceDialog.returnValue;
+            if (choice === 'oldest') resolve(oldestChoice);
+            else if (choice === 'pick') resolve(pickCardToArchive());
+            else resolve(null);
+        }, { once: true });
+        archiveChoiceDialog.showModal();
+    });
+}
+
+/**
+ * Lets the user choose the card to archive: click it, or focus it and press
+ * Enter (Escape cancels).
+ * @returns {Promise<{cardEl: HTMLElement, picked: boolean}|null>}
+ */
+function pickCardToArchive() {
+    return new Promise(resolve => {
+        document.body.classList.add('choosing-archive');
+        const dismissHint = showToast(t('print.archivePickHint'), { sticky: true });
+
+        const pickable = (cardEl) => cardEl && cardsLayer.contains(cardEl)
+            && !cardEl.classList.contains('locked') && !cardEl.classList.contains('printing');
+        const finish = (choice) => {
+            document.body.classList.remove('choosing-archive');
+            dismissHint();
+            cardsLayer.removeEventListener('click', onClick, true);
+            document.removeEventListener('keydown', onKey, true);
+            resolve(choice);
+        };
+        const onClick = (e) => {
+            const cardEl = e.target.closest('.card');
+            if (!pickable(cardEl)) return;
+            e.stopPropagation();
+            finish({ cardEl, picked: true });
+        };
+        const onKey = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(null);
+                return;
+            }
+            // Enter on a focused card picks it instead of expanding it
+            if (e.key !== 'Enter' || !e.target.classList.contains('card') || !pickable(e.target)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            finish({ cardEl: e.target, picked: true });
+        };
+
+        cardsLayer.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKey, true);
+        const first = Array.from(cardsLayer.querySelectorAll('.card')).find(pickable);
+        if (first) first.focus();
+    });
+}
+
+/* Side panels (one open at a time) */
+function openPanel(panel) {
+    document.querySelectorAll('.side-panel').forEach(p => { p.hidden = p !== panel; });
+    if (searchPanel.hidden) clearWallFilter();
+}
+
+document.querySelectorAll('.side-panel-close').forEach(btn => {
+    btn.addEventListener('click', () => {
+        btn.closest('.side-panel').hidden = true;
+        if (searchPanel.hidden) clearWallFilter();
+    });
+});
+
+/* Search panel: dims non-matching cards on the wall and lists archive matches */
+const searchPanel = document.getElementById('search-panel');
+const searchForm = document.getElementById('search-form');
+const searchMood = document.getElementById('search-mood');
+const searchStyle = document.getElementById('search-style');
+const searchSummary = document.getElementById('search-summary');
+const searchArchive = document.getElementById('search-archive');
+const SEARCH_ARCHIVE_LIMIT = 50;
+let searchTimer = null;
+let searchSeq = 0;
+
+document.getElementById('search-btn').addEventListener('click', () => {
+    if (searchMood.options.length === 1) {
+        Object.entries(window.MOOD_EMOJIS).forEach(([level, emoji]) => {
+            const option = createEl('option', '', emoji);
+            option.value = level;
+            searchMood.appendChild(option);
+        });
+        // Same labels as the style picker on the typewriter
+        Array.from(styleSelect.options).forEach(o => {
+            const option = createEl('option', '', o.textContent);
+            option.value = o.value;
+            searchStyle.appendChild(option);
+        });
+    }
+    openPanel(searchPanel);
+    document.getElementById('search-q').focus();
+    runSearch();
+});
+
+searchForm.addEventListener('submit', e => e.preventDefault());
+searchForm.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(runSearch, 300);
+});
+
+// Filters as query params (dates are local days, sent as instants)
+function searchParams() {
+    const params = new URLSearchParams();
+    const q = document.getElementById('search-q').value.trim();
+    const from = document.getElementById('search-from').value;
+    const to = document.getElementById('search-to').value;
+    if (q) params.set('q', q);
+    if (searchMood.value) params.set('mood', searchMood.value);
+    if (searchStyle.value) params.set('style', searchStyle.value);
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return params;
+}
+
+async function runSearch() {
+    const params = searchParams();
+    const seq = ++searchSeq;
+    if (!params.toString()) {
+        clearWallFilter();
+        searchSummary.textContent = t('search.hint');
+        searchArchive.replaceChildren();
+        return;
+    }
+
+    try {
+        const [matches, archive] = await Promise.all([
+            apiRequest(`${API_URL}?${params}`),
+            apiRequest(`${API_URL}/archive?${params}&limit=${SEARCH_ARCHIVE_LIMIT}`)
+        ]);
+        if (seq !== searchSeq) return; // A newer search already answered
+
+        const ids = new Set(matches.map(c => c.id));
+        cardsLayer.querySelectorAll('.card:not(.printing)').forEach(el => el.classList.toggle('dimmed', !ids.has(el.dataset.cardId)));
+
+        searchSummary.textContent = t('search.summary', { wall: matches.length, archive: archive.total })
+            + (archive.total > archive.cards.length ? t('search.summaryLimited', { shown: archive.cards.length }) : '');
+        searchArchive.replaceChildren(...archive.cards.map(buildArchiveItem));
+    } catch (err) {
+        showToast(t('search.failed', { message: err.message }));
+    }
+}
+
+function clearWallFilter() {
+    searchSeq++;
+    cardsLayer.querySelectorAll('.card.dimmed').forEach(el => el.classList.remove('dimmed'));
+}
+
+/* Archive ("past cards") panel */
+let archiveOffset = 0;
+
+if (ARCHIVE_MODE || ROLLOVER) archiveBtn.hidden = false;
+snapshotPicker.hidden = !ROLLOVER;
+
+archiveBtn.addEventListener('click', () => {
+    openPanel(archivePanel);
+    archiveList.innerHTML = '';
+    archiveOffset = 0;
+    loadArchivePage();
+    if (ROLLOVER) loadSnapshotDates();
+});
+
+snapshotSelect.addEventListener('change', () => {
+    if (snapshotSelect.value) window.location.search = `?date=${snapshotSelect.value}`;
+});
+
+async function loadSnapshotDates() {
+    try {
+        const snapshots = await apiRequest(SNAPSHOTS_URL);
+        snapshotSelect.replaceChildren(createEl('option', '', t(snapshots.length ? 'archive.pickDate' : 'archive.noSnapshots')));
+        snapshotSelect.firstChild.value = '';
+        snapshots.forEach(({ date, count }) => {
+            const option = createEl('option', '', t('archive.snapshotOption', { date: formatDay(date), count }));
+            option.value = date;
+            option.selected = date === SNAPSHOT_DATE;
+            snapshotSelect.appendChild(option);
+        });
+    } catch (err) {
+        console.error('Snapshot list failed', err);
+    }
+}
+
+/**
+ * Read-only view of a past day: its cards exactly where they were at rollover.
+ * No typewriter, no live updates.
+ */
+async function loadSnapshot(date) {
+    document.body.classList.add('snapshot-view');
+    const back = createEl('a', 'snapshot-back', t('snapshot.back'));
+    back.href = window.location.pathname;
+    snapshotBanner.replaceChildren(createEl('span', '', t('snapshot.banner', { date: formatDay(date) })), back);
+    snapshotBanner.hidden = false;
+
+    try {
+        const snapshot = await apiRequest(`${SNAPSHOTS_URL}/${date}`);
+        snapshot.cards.forEach(data => {
+            const cardEl = renderCard(data);
+            cardEl.classList.add('locked');
+            cardEl.querySelectorAll('.delete-btn, .edit-btn, .card-thread').forEach(el => el.remove());
+        });
+        if (snapshot.cards.length === 0) showToast(t('snapshot.empty'));
+    } catch (err) {
+        showToast(err.status === 404 ? t('snapshot.missing', { date: formatDay(date) }) : t('snapshot.failed', { message: err.message }));
+    }
+}
+
+archiveMoreBtn.addEventListener('click', loadArchivePage);
+
+async function loadArchivePage() {
+    archiveMoreBtn.disabled = true;
+    try {
+        const page = await apiRequest(`${API_URL}/archive?offset=${archiveOffset}&limit=20`);
+        page.cards.forEach(data => archiveList.appendChild(buildArchiveItem(data)));
+        archiveOffset += page.cards.length;
+        archiveMoreBtn.hidden = archiveOffset >= page.total;
+        if (page.total === 0) archiveList.appendChild(createEl('p', 'archive-empty', t('archive.empty')));
+    } catch (err) {
+        showToast(t('archive.failed', { message: err.message }), err.retryable ? {
+            action: { label: t('action.retry'), onClick: loadArchivePage }
+        } : {});
+    } finally {
+        archiveMoreBtn.disabled = false;
+    }
+}
+
+/**
+ * Read-only miniature of a card for the archive list
+ */
+function buildArchiveItem(data) {
+    const item = createEl('div', 'archive-item');
+    const cardEl = buildCardElement(data);
+    cardEl.querySelectorAll('.delete-btn, .save-btn, .edit-btn, .card-thread').forEach(b => b.remove());
+    // Nothing to do with it here, so it's read out but not a tab stop
+    cardEl.removeAttribute('tabindex');
+    item.appendChild(cardEl);
+    return item;
+}
+
+/* Reactions & replies (shown in the expanded card) */
+// Keep in sync with REACTION_EMOJIS in lib/validation.js
+const REACTION_EMOJIS = ['❤️', '👍', '🤗', '😂', '😮', '😢'];
+const MAX_REPLY_LENGTH = 200;
+
+function buildThread() {
+    const thread = createEl('div', 'card-thread');
+
+    const bar = createEl('div', 'reaction-bar');
+    REACTION_EMOJIS.forEach(emoji => {
+        const btn = createEl('button', 'reaction-btn');
+        btn.type = 'button';
+        btn.dataset.emoji = emoji;
+        btn.append(createEl('span', 'reaction-emoji', emoji), createEl('span', 'reaction-count'));
+        bar.appendChild(btn);
+    });
+
+    const form = createEl('form', 'reply-form');
+    const input = createEl('input', 'reply-input');
+    input.maxLength = MAX_REPLY_LENGTH;
+    input.placeholder = t('reply.placeholder');
+    const send = createEl('button', 'reply-send', t('reply.send'));
+    send.type = 'submit';
+    form.append(input, send);
+
+    thread.append(bar, createEl('ul', 'reply-list'), form);
+
+    bar.addEventListener('click', (e) => {
+        const btn = e.target.closest('.reaction-btn');
+        if (btn) sendReaction(thread.closest('.card'), btn.dataset.emoji);
+    });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        sendReply(thread.closest('.card'), input);
+    });
+    // Clicking or typing in the thread must not drag or re-expand the card
+    ['mousedown', 'touchstart', 'dblclick'].forEach(type => thread.addEventListener(type, e => e.stopPropagation()));
+    return thread;
+}
+
+/**
+ * Shows a card's reactions and replies: a count badge on the wall,
+ * the full thread in the expanded view.
+ */
+function renderSocial(cardEl, data) {
+    const reactions = data.reactions || {};
+    const replies = data.replies || [];
+
+    let total = 0;
+    let top = null;
+    cardEl.querySelectorAll('.reaction-btn').forEach(btn => {
+        const owners = reactions[btn.dataset.emoji] || [];
+        total += owners.length;
+        if (owners.length > 0 && (!top || owners.length > (reactions[top] || []).length)) top = btn.dataset.emoji;
+        btn.querySelector('.reaction-count').textContent = owners.length ? String(owners.length) : '';
+        btn.classList.toggle('mine', !!session.ownerId && owners.includes(session.ownerId));
+    });
+
+    const badge = cardEl.querySelector('.social-badge');
+    const badgeParts = [];
+    if (total) badgeParts.push(`${top} ${total}`);
+    if (replies.length) badgeParts.push(`💬 ${replies.length}`);
+    badge.textContent = badgeParts.join('  ');
+    badge.hidden = badgeParts.length === 0;
+
+    const list = cardEl.querySelector('.reply-list');
+    if (!list) return; // Archive miniatures have no thread
+    list.replaceChildren(...replies.map(reply => {
+        const item = createEl('li', 'reply');
+        if (session.ownerId && reply.owner === session.ownerId) item.classList.add('mine');
+        item.append(createEl('span', 'reply-text', reply.text), createEl('span', 'reply-date', formatCardDate(reply.createdAt)));
+        return item;
+    }));
+    if (replies.length === 0) list.appendChild(createEl('li', 'reply-empty', t('reply.empty')));
+    list.scrollTop = list.scrollHeight;
+}
+
+async function sendReaction(cardEl, emoji) {
+    try {
+        const card = await apiRequest(`${API_URL}/${cardEl.dataset.cardId}/reactions`, { method: 'POST', body: { emoji } });
+        renderSocial(cardEl, card);
+    } catch (err) {
+        showToast(t('reaction.failed', { message: err.message }));
+    }
+}
+
+async function sendReply(cardEl, input) {
+    const text = input.value.trim();
+    if (!text) return;
+    input.disabled = true;
+    try {
+        const card = await apiRequest(`${API_URL}/${cardEl.dataset.cardId}/replies`, { method: 'POST', body: { text } });
+        input.value = '';
+        renderSocial(cardEl, card);
+    } catch (err) {
+        showToast(t('reply.failed', { message: err.message }));
+    } finally {
+        input.disabled = false;
+        input.focus();
+    }
+}
+
+/* Mood statistics panel */
+const STATS_URL = WALL_ID ? `/api/walls/${encodeURIComponent(WALL_ID)}/stats` : '/api/stats';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const statsRange = document.getElementById('stats-range');
+const statsBucket = document.getElementById('stats-bucket');
+
+document.getElementById('stats-btn').addEventListener('click', () => {
+    openPanel(statsPanel);
+    loadStats();
+});
+statsRange.addEventListener('change', loadStats);
+statsBucket.addEventListener('change', loadStats);
+
+async function loadStats() {
+    const to = new Date();
+    const from = new Date(to.getTime() - Number(statsRange.value) * 24 * 60 * 60 * 1000);
+    const params = new URLSearchParams({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket: statsBucket.value,
+        tzOffset: to.getTimezoneOffset()
+    });
+    try {
+        renderStats(await apiRequest(`${STATS_URL}?${params}`));
+    } catch (err) {
+        showToast(t('stats.failed', { message: err.message }), err.retryable ? {
+            action: { label: t('action.retry'), onClick: loadStats }
+        } : {});
+    }
+}
+
+function renderStats(stats) {
+    const summary = document.getElementById('stats-summary');
+    const avgEmoji = stats.average ? window.MOOD_EMOJIS[Math.round(stats.average)] : '–';
+    summary.textContent = t('stats.summary', {
+        total: stats.total,
+        emoji: avgEmoji,
+        average: stats.average !== null ? stats.average.toLocaleString(LOCALE, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) : ''
+    });
+
+    renderStatsChart(document.getElementById('stats-chart'), stats.series);
+
+    // Distribution: one bar per MOOD_EMOJIS level
+    const dist = document.getElementById('stats-distribution');
+    dist.innerHTML = '';
+    const max = Math.max(1, ...Object.values(stats.distribution));
+    Object.keys(window.MOOD_EMOJIS).forEach(level => {
+        const count = stats.distribution[level] || 0;
+        const row = createEl('div', 'stats-dist-row');
+        const bar = createEl('div', 'stats-dist-bar');
+        bar.style.width = `${(count / max) * 100}%`;
+        const track = createEl('div', 'stats-dist-track');
+        track.appendChild(bar);
+        row.append(createEl('span', 'stats-dist-emoji', window.MOOD_EMOJIS[level]), track, createEl('span', 'stats-dist-count', String(count)));
+        dist.appendChild(row);
+    });
+}
+
+/**
+ * Draws post counts (bars) and average mood (line, 1-5) per period as plain SVG
+ */
+function renderStatsChart(svg, series) {
+    const W = 320, H = 180, PAD_L = 28, PAD_R = 8, PAD_T = 10, PAD_B = 22;
+    const plotW = W - PAD_L - PAD_R, plotH = H - PAD_T - PAD_B;
+    const svgEl = (tag, attrs) => {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+        return el;
+    };
+
+    svg.innerHTML = '';
+    if (series.length === 0) return;
+
+    const slot = plotW / series.length;
+    const maxCount = Math.max(1, ...series.map(p => p.count));
+    const moodY = mood => PAD_T + plotH - ((mood - 1) / 4) * plotH;
+
+    // Mood gridlines with emoji labels
+    [1, 3, 5].forEach(level => {
+        svg.appendChild(svgEl('line', { x1: PAD_L, x2: W - PAD_R, y1: moodY(level), y2: moodY(level), class: 'stats-grid' }));
+        const label = svgEl('text', { x: 2, y: moodY(level) + 5, class: 'stats-label' });
+        label.textContent = window.MOOD_EMOJIS[level];
+        svg.appendChild(label);
+    });
+
+    // Post counts
+    series.forEach((p, i) => {
+        if (!p.count) return;
+        const h = (p.count / maxCount) * plotH * 0.5;
+        const bar = svgEl('rect', { x: PAD_L + i * slot + slot * 0.15, y: PAD_T + plotH - h, width: slot * 0.7, height: h, class: 'stats-bar' });
+        const title = svgEl('title', {});
+        title.textContent = `${formatDay(p.period)}: ${p.count}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+    });
+
+    // Average mood line (breaks over periods without posts)
+    let d = '';
+    series.forEach((p, i) => {
+        if (p.average === null) return;
+        const x = PAD_L + i * slot + slot / 2;
+        const prev = series[i - 1];
+        d += `${prev && prev.average !== null ? 'L' : 'M'}${x.toFixed(1)},${moodY(p.average).toFixed(1)} `;
+        svg.appendChild(svgEl('circle', { cx: x, cy: moodY(p.average), r: 2.5, class: 'stats-dot' }));
+    });
+    if (d) svg.insertBefore(svgEl('path', { d, class: 'stats-line' }), svg.querySelector('.stats-dot'));
+
+    // First and last period labels
+    [[series[0], PAD_L, 'start'], [series[series.length - 1], W - PAD_R, 'end']].forEach(([p, x, anchor]) => {
+        const label = svgEl('text', { x, y: H - 6, 'text-anchor': anchor, class: 'stats-label' });
+        label.textContent = formatDay(p.period, { month: 'numeric', day: 'numeric' });
+        svg.appendChild(label);
+    });
+}
+
+/* Offline support (see sw.js) */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker failed', err));
+    navigator.serviceWorker.addEventListener('message', handleSyncMessage);
+    window.addEventListener('online', requestReplay);
+    requestReplay();
+}
+
+// Ask the service worker to send writes queued while offline
+function requestReplay() {
+    navigator.serviceWorker.ready.then(reg => {
+        if (reg.active) reg.active.postMessage({ type: 'replay' });
+    });
+}
+
+function handleSyncMessage(e) {
+    const { type, cardId, method, error, code, params } = e.data || {};
+    const cardEl = cardId ? findCardEl(cardId) : null;
+    if (type === 'synced') {
+        if (cardEl) setPendingSync(cardEl, false);
+    } else if (type === 'sync-failed') {
+        console.error('Queued change rejected', cardId, error);
+        showToast(t('sync.failed', { message: apiErrorMessage({ error, code, params }) }));
+        if (cardEl) setPendingSync(cardEl, false);
+        // The server refused the card, so it won't be there after a reload either
+        if (method === 'POST' && cardEl) cardEl.remove();
+        else loadCards(true);
+    }
+}
+
+function setPendingSync(cardEl, pending) {
+    cardEl.classList.toggle('pending-sync', pending);
+}
+
+/**
+ * Fetches the wall and renders cards not yet on screen.
+ * @param {boolean} [prune] - Also remove cards the server no longer has (used after reconnecting)
+ */
+async function loadCards(prune = false) {
+    try {
+        const res = await fetch(API_URL);
+        const cards = await res.json();
+        if (prune) {
+            const ids = new Set(cards.map(c => c.id));
+            cardsLayer.querySelectorAll('.card:not(.printing)').forEach(el => {
+                if (!ids.has(el.dataset.cardId)) el.remove();
+            });
+        }
+        cards.forEach(cardData => {
+            if (!findCardEl(cardData.id)) renderCard(cardData);
+        });
+    } catch (e) {
+        console.error('Load failed', e);
+    }
+}
+
+function findCardEl(id) {
+    return Array.from(cardsLayer.querySelectorAll('.card')).find(el => el.dataset.cardId === id) || null;
+}
+
+/**
+ * Subscribes to the wall's Server-Sent Events so prints, moves and deletes
+ * by other people show up without a reload.
+ */
+function connectLiveUpdates() {
+    if (!window.EventSource) return;
+    const source = new EventSource(`${API_URL}/events`);
+    let connectedBefore = false;
+
+    source.addEventListener('open', () => {
+        // Anything may have changed while we were disconnected
+        if (connectedBefore) loadCards(true);
+        connectedBefore = true;
+    });
+
+    source.addEventListener('created', (e) => {
+        const card = JSON.parse(e.data);
+        if (!findCardEl(card.id)) renderCard(card);
+    });
+
+    source.addEventListener('updated', (e) => {
+        const card = JSON.parse(e.data);
+        const cardEl = findCardEl(card.id);
+        if (!cardEl) return;
+        renderSocial(cardEl, card);
+        if ((card.updatedAt || '') !== cardEl.dataset.updatedAt) renderCardContent(cardEl, card);
+        // Our own drag is already in place; never fight the user mid-drag
+        if (cardEl.classList.contains('dragging')) return;
+        const pos = normalisePosition(card.x, card.y);
+        const current = storedPosition(cardEl);
+        if (current.x === pos.x && current.y === pos.y) return;
+
+        cardEl.style.transform = `scale(0.25) rotate(${card.r}deg)`;
+        animateCardTo(cardEl, pos);
+    });
+
+    source.addEventListener('deleted', (e) => {
+        const { id } = JSON.parse(e.data);
+        const cardEl = findCardEl(id);
+        if (!cardEl) return;
+        if (cardEl.classList.contains('expanded')) overlay.classList.remove('active');
+        cardEl.classList.add('removing');
+        setTimeout(() => cardEl.remove(), 300);
+    });
+}
+
+/**
+ * Builds a card's DOM from data. Text only ever goes through text nodes
+ * (see formatCardText), so card content can't inject markup.
+ */
+function buildCardElement(data) {
+    const cardEl = document.createElement('div');
+    cardEl.className = 'card';
+    cardEl.dataset.cardId = data.id;
+    cardEl.dataset.createdAt = data.createdAt || '';
+    // Cards we can't change stay viewable (expand/download) but not movable or deletable
+    if (!canModifyCard(data.owner)) cardEl.classList.add('locked');
+    // A focusable item of the wall list, read out as mood, date and text
+    cardEl.setAttribute('role', 'listitem');
+    cardEl.tabIndex = 0;
+
+    const deleteBtn = createEl('button', 'delete-btn', '×');
+    deleteBtn.type = 'button';
+    deleteBtn.title = t('card.delete');
+    deleteBtn.setAttribute('aria-label', t('card.deleteLabel'));
+    const saveBtn = createEl('button', 'save-btn', '⬇');
+    saveBtn.type = 'button';
+    saveBtn.title = t('card.download');
+    saveBtn.setAttribute('aria-label', t('card.downloadLabel'));
+    // Shown in the expanded view of cards we may change
+    const editBtn = createEl('button', 'edit-btn', t('card.edit'));
+    editBtn.type = 'button';
+    editBtn.setAttribute('aria-label', t('card.editLabel'));
+
+    cardEl.append(
+        deleteBtn,
+        saveBtn,
+        editBtn,
+        createEl('div', 'photo'),
+        createEl('div', 'text'),
+        createEl('div', 'mood-badge'),
+        createEl('div', 'date-badge'),
+        createEl('div', 'social-badge'),
+        buildThread()
+    );
+    renderCardContent(cardEl, data);
+    renderSocial(cardEl, data);
+    return cardEl;
+}
+
+/**
+ * Fills in what a card says: text, mood, style, photo and date. Also used to
+ * update a card in place after an edit (ours or someone else's).
+ */
+function renderCardContent(cardEl, data) {
+    const style = data.style || 'polaroid';
+    if (cardEl.dataset.style) cardEl.classList.remove(cardEl.dataset.style);
+    cardEl.classList.add(style);
+    cardEl.dataset.style = style;
+    cardEl.dataset.mood = data.mood;
+    cardEl.dataset.text = data.text || '';
+    cardEl.dataset.imageUrl = data.imageUrl || '';
+    cardEl.dataset.updatedAt = data.updatedAt || '';
+    cardEl.dataset.preset = Number.isInteger(data.preset) ? data.preset : '';
+    cardEl.setAttribute('aria-label', cardLabel(data));
+
+    // Saved cards come with an image URL; cards not yet saved (just printed or
+    // queued offline) still carry the data URL split into header + parts
+    const photo = cardEl.querySelector('.photo');
+    const inline = (data.header || '') + (data.parts || []).join('');
+    const src = data.imageUrl || (data.parts && data.parts.length > 0 && inline.startsWith('data:image/') ? inline : '');
+    const img = photo.querySelector('img');
+    if (src) {
+        if (!img || img.getAttribute('src') !== src) {
+            const newImg = document.createElement('img');
+            newImg.src = src;
+            newImg.alt = '';
+            photo.replaceChildren(newImg);
+        }
+        delete photo.dataset.preset;
+    } else {
+        // No image: the card's preset artwork (trusted markup from PRESET_SVGS)
+        const preset = String(presetIndex(data));
+        if (photo.dataset.preset !== preset) {
+            photo.innerHTML = window.PRESET_SVGS[preset];
+            photo.dataset.preset = preset;
+        }
+    }
+
+    cardEl.querySelector('.text').replaceChildren(formatCardText(data.text || ''));
+    cardEl.querySelector('.mood-badge').textContent = window.MOOD_EMOJIS[data.mood] || '';
+
+    const dateBadge = cardEl.querySelector('.date-badge');
+    dateBadge.textContent = data.createdAt ? formatCardDate(data.createdAt) : '';
+    if (data.updatedAt) dateBadge.appendChild(createEl('span', 'edited-mark', t('card.edited')));
+}
+
+/**
+ * What renderCardContent needs to draw a card again as it is now (rolling back an edit)
+ */
+function cardContent(cardEl) {
+    return {
+        id: cardEl.dataset.cardId,
+        text: cardEl.dataset.text,
+        mood: Number(cardEl.dataset.mood),
+        style: cardEl.dataset.style,
+        imageUrl: cardEl.dataset.imageUrl,
+        createdAt: cardEl.dataset.createdAt,
+        updatedAt: cardEl.dataset.updatedAt,
+        preset: cardEl.dataset.preset ? Number(cardEl.dataset.preset) : undefined
+    };
+}
+
+/**
+ * Which PRESET_SVGS entry a card without an image shows. New cards store the
+ * one picked when printed; older cards get one derived from their id, so the
+ * artwork no longer changes on every load.
+ */
+function presetIndex(data) {
+    const count = window.PRESET_SVGS.length;
+    if (Number.isInteger(data.preset)) return data.preset % count;
+    let hash = 0;
+    for (const ch of String(data.id || '')) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return hash % count;
+}
+
+function createEl(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text) el.textContent = text;
+    return el;
+}
+
+function cardLabel(data) {
+    const parts = [t('card.labelMood', { mood: window.MOOD_LABELS[data.mood] || '' })];
+    if (data.createdAt) parts.push(formatCardDate(data.createdAt));
+    if (data.updatedAt) parts.push(t('card.labelEdited'));
+    const label = t('card.label', { meta: parts.join(t('card.labelSeparator')), text: data.text || '' });
+    return data.imageUrl || (data.parts && data.parts.length > 0) ? t('card.labelPhoto', { label }) : label;
+}
+
+function formatCardDate(iso) {
+    return new Date(iso).toLocaleString(LOCALE, { hour12: false, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+// A local day ("YYYY-MM-DD", as used by snapshots and stats) in the UI language
+function formatDay(day, options = { year: 'numeric', month: '2-digit', day: '2-digit' }) {
+    return new Date(`${day}T00:00:00`).toLocaleDateString(LOCALE, options);
+}
+
+/**
+ * Turns card text into safe DOM: line breaks, *emphasis* and :shortcode: emoji.
+ * The same fragment is used on the wall, in the expanded view and in the PNG export.
+ * @param {string} text
+ * @returns {DocumentFragment}
+ */
+function formatCardText(text) {
+    const fragment = document.createDocumentFragment();
+    const withEmoji = text.replace(/:([a-z0-9_+-]+):/g, (match, name) => window.EMOJI_SHORTCODES[name] || match);
+
+    withEmoji.split('\n').forEach((line, i) => {
+        if (i > 0) fragment.appendChild(document.createElement('br'));
+        // Odd entries are the *emphasised* segments
+        line.split(/\*([^*]+)\*/).forEach((segment, j) => {
+            if (!segment) return;
+            if (j % 2 === 1) {
+                fragment.appendChild(createEl('em', null, segment));
+            } else {
+                fragment.appendChild(document.createTextNode(segment));
+            }
+        });
+    });
+    return fragment;
+}
+
+/* Wall layout
+ * Positions are stored as 0–1 fractions of the room a card can move in (the
+ * wall minus one card), so a layout saved on a wide screen still fits a phone.
+ * The arrangement modes other than "free" only change this browser's view:
+ * stored positions stay as they are and come back when switching to free. */
+const ARRANGE_MODES = ['free', 'grid', 'timeline', 'mood'];
+// New cards and arranged layouts stay above the typewriter
+const TYPEWRITER_CLEARANCE = 200;
+const LAYOUT_GAP = 8;
+// Arrow keys move a focused card by this share of the wall (Shift: five times as far)
+const KEY_MOVE_STEP = 0.02;
+const KEY_MOVE_SAVE_DELAY = 600;
+const ARROW_DIRECTIONS = {
+    ArrowLeft: { x: -1, y: 0 }, ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 }, ArrowDown: { x: 0, y: 1 }
+};
+
+const arrangeSelect = document.getElementById('arrange-select');
+let arrangeMode = ARRANGE_MODES.includes(localStorage.getItem('moodwall.arrange')) ? localStorage.getItem('moodwall.arrange') : 'free';
+arrangeSelect.value = arrangeMode;
+
+arrangeSelect.addEventListener('change', () => {
+    arrangeMode = arrangeSelect.value;
+    localStorage.setItem('moodwall.arrange', arrangeMode);
+    arrangeWall();
+});
+
+// Cards coming and going (prints, deletes, other people's edits) re-flow an arranged wall
+let arrangeFrame = null;
+function scheduleArrange() {
+    if (arrangeFrame) return;
+    arrangeFrame = requestAnimationFrame(() => {
+        arrangeFrame = null;
+        arrangeWall();
+    });
+}
+new MutationObserver(() => { if (arrangeMode !== 'free') scheduleArrange(); }).observe(cardsLayer, { childList: true });
+window.addEventListener('resize', scheduleArrange);
+
+/**
+ * Size of a card on the wall (cards sit there at a quarter of their size).
+ */
+function cardFootprint() {
+    const css = getComputedStyle(document.documentElement);
+    return {
+        w: (parseFloat(css.getPropertyValue('--card-width')) || 320) * 0.25,
+        h: (parseFloat(css.getPropertyValue('--card-height')) || 410) * 0.25
+    };
+}
+
+function wallRoom() {
+    const card = cardFootprint();
+    return {
+        w: Math.max(1, cardsLayer.clientWidth - card.w),
+        h: Math.max(1, cardsLayer.clientHeight - card.h)
+    };
+}
+
+function clamp01(n) {
+    return Math.min(1, Math.max(0, n));
+}
+
+/**
+ * A stored position as a wall fraction. Cards saved before positions were
+ * normalised hold pixels (anything above 1); they are mapped onto this wall.
+ * @returns {{x: number, y: number}}
+ */
+function normalisePosition(x, y) {
+    x = Number(x) || 0;
+    y = Number(y) || 0;
+    if (x > 1 || y > 1) {
+        const room = wallRoom();
+        x /= room.w;
+        y /= room.h;
+    }
+    return { x: clamp01(x), y: clamp01(y) };
+}
+
+function toPixels(pos) {
+    const room = wallRoom();
+    return { x: pos.x * room.w, y: pos.y * room.h };
+}
+
+function roundFraction(n) {
+    return Math.round(clamp01(n) * 10000) / 10000;
+}
+
+function toFraction(px) {
+    const room = wallRoom();
+    return { x: roundFraction(px.x / room.w), y: roundFraction(px.y / room.h) };
+}
+
+function storedPosition(cardEl) {
+    return { x: Number(cardEl.dataset.x) || 0, y: Number(cardEl.dataset.y) || 0 };
+}
+
+function placeCardEl(cardEl, px, animate = false) {
+    if (animate) {
+        cardEl.classList.add('remote-move');
+        setTimeout(() => cardEl.classList.remove('remote-move'), 500);
+    }
+    cardEl.style.left = px.x + 'px';
+    cardEl.style.top = px.y + 'px';
+}
+
+/**
+ * Spot for a new card that overlaps the cards already on the wall the least;
+ * ties are picked at random so new cards don't all start in one corner.
+ * @param {HTMLElement|null} [leaving] - A card about to be archived (its space counts as free)
+ * @returns {{x: number, y: number}} Wall fraction
+ */
+function findFreeSpot(leaving = null) {
+    const card = cardFootprint();
+    const room = wallRoom();
+    const maxY = Math.max(0, Math.min(room.h, cardsLayer.clientHeight - TYPEWRITER_CLEARANCE));
+    const taken = Array.from(cardsLayer.querySelectorAll('.card:not(.printing):not(.removing)'))
+        .filter(el => el !== leaving)
+        .map(el => toPixels(storedPosition(el)));
+
+    const overlap = (x, y) => taken.reduce((sum, t) => {
+        const w = Math.min(x, t.x) + card.w - Math.max(x, t.x);
+        const h = Math.min(y, t.y) + card.h - Math.max(y, t.y);
+        return w > 0 && h > 0 ? sum + w * h : sum;
+    }, 0);
+
+    const step = card.w / 4;
+    let best = [];
+    let bestOverlap = Infinity;
+    for (let y = 0; y <= maxY; y += step) {
+        for (let x = 0; x <= room.w; x += step) {
+            const value = overlap(x, y);
+            if (value < bestOverlap) {
+                best = [{ x, y }];
+                bestOverlap = value;
+            } else if (value === bestOverlap) {
+                best.push({ x, y });
+            }
+        }
+    }
+    return toFraction(best[Math.floor(Math.random() * best.length)] || { x: 0, y: 0 });
+}
+
+/**
+ * Evenly spaced positions for n items over `length` pixels (cards overlap
+ * when there isn't room for all of them).
+ */
+function spread(n, length, size) {
+    const step = n > 1 ? Math.min(size + LAYOUT_GAP, Math.max(0, length - size) / (n - 1)) : 0;
+    return Array.from({ length: n }, (_, i) => i * step);
+}
+
+function byCreatedAt(a, b) {
+    return (a.dataset.createdAt || '').localeCompare(b.dataset.createdAt || '');
+}
+
+// Each arrangement returns a pixel position per card, in the order given
+const ARRANGEMENTS = {
+    grid(cards, area, card) {
+        const sorted = cards.slice().sort(byCreatedAt);
+        const cols = Math.max(1, Math.floor((area.w + LAYOUT_GAP) / (card.w + LAYOUT_GAP)));
+        const xs = spread(cols, area.w, card.w);
+        const ys = spread(Math.ceil(sorted.length / cols), area.h, card.h);
+        const slots = new Map(sorted.map((el, i) => [el, { x: xs[i % cols], y: ys[Math.floor(i / cols)] }]));
+        return cards.map(el => slots.get(el));
+    },
+
+    // Oldest on the left, newest on the right; cards that would overlap move down a row
+    timeline(cards, area, card) {
+        const sorted = cards.slice().sort(byCreatedAt);
+        const times = sorted.map(el => new Date(el.dataset.createdAt || 0).getTime() || 0);
+        const first = Math.min(...times);
+        const span = Math.max(...times) - first;
+        const maxRows = Math.max(1, Math.floor((area.h + LAYOUT_GAP) / (card.h + LAYOUT_GAP)));
+        const rowEnds = [];
+        const slots = new Map();
+        sorted.forEach((el, i) => {
+            const x = (span ? (times[i] - first) / span : i / Math.max(1, sorted.length - 1)) * Math.max(0, area.w - card.w);
+            let row = rowEnds.findIndex(end => end <= x);
+            if (row === -1) row = rowEnds.length < maxRows ? rowEnds.length : rowEnds.indexOf(Math.min(...rowEnds));
+            rowEnds[row] = x + card.w + LAYOUT_GAP;
+            slots.set(el, { x, y: row * (card.h + LAYOUT_GAP) });
+        });
+        return cards.map(el => slots.get(el));
+    },
+
+    // One column per mood, 1 on the left to 5 on the right
+    mood(cards, area, card) {
+        const slots = new Map();
+        for (let mood = 1; mood <= 5; mood++) {
+            const column = cards.filter(el => Number(el.dataset.mood) === mood).sort(byCreatedAt);
+            const x = (mood - 1) / 4 * Math.max(0, area.w - card.w);
+            const ys = spread(column.length, area.h, card.h);
+            column.forEach((el, i) => slots.set(el, { x, y: ys[i] }));
+        }
+        return cards.map(el => slots.get(el) || { x: 0, y: 0 });
+    }
+};
+
+/**
+ * Lays the wall out in the current arrangement mode ("free" puts every card
+ * back at its stored position).
+ */
+function arrangeWall() {
+    const cards = Array.from(cardsLayer.querySelectorAll('.card:not(.printing):not(.removing):not(.dragging)'));
+    if (arrangeMode === 'free') {
+        cards.forEach(el => placeCardEl(el, toPixels(storedPosition(el)), true));
+        return;
+    }
+    const card = cardFootprint();
+    const area = {
+        w: cardsLayer.clientWidth,
+        h: Math.max(card.h, cardsLayer.clientHeight - TYPEWRITER_CLEARANCE)
+    };
+    const slots = ARRANGEMENTS[arrangeMode](cards, area, card);
+    cards.forEach((el, i) => placeCardEl(el, slots[i], true));
+}
+
+function renderCard(data) {
+    const cardEl = buildCardElement(data);
+
+    const safeR = (data.r === undefined || data.r === null || data.r === '') ? (Math.random() * 10 - 5) : data.r;
+
+    const pos = normalisePosition(data.x, data.y);
+    cardEl.dataset.x = pos.x;
+    cardEl.dataset.y = pos.y;
+    placeCardEl(cardEl, toPixels(pos));
+    cardEl.style.transform = `scale(0.25) rotate(${safeR}deg)`;
+
+    if (data.pendingSync) setPendingSync(cardEl, true);
+
+    cardsLayer.appendChild(cardEl);
+    setupCardInteraction(cardEl, data.id, safeR);
+    return cardEl;
+}
+
+function setupCardInteraction(cardEl, id, initialR) {
+    let startX = 0, startY = 0, initialLeft = 0, initialTop = 0;
+    let isDragging = false;
+    let x = 0, y = 0;
+
+    cardEl.onmousedown = dragStart;
+    cardEl.ontouchstart = dragStart;
+
+    function dragStart(e) {
+        if (e.target.closest('.delete-btn, .save-btn, .edit-btn')) return;
+        if (cardEl.classList.contains('locked')) return;
+        if (document.body.classList.contains('choosing-archive')) return;
+        // Arranged walls are laid out automatically; only the free layout is dragged
+        if (arrangeMode !== 'free') return;
+
+        // Bring to front only if needed (prevents dblclick interference)
+        if (cardsLayer.lastElementChild !== cardEl) {
+            cardsLayer.appendChild(cardEl);
+        }
+
+        isDragging = true;
+        cardEl.classList.add('dragging');
+        const evt = e.touches ? e.touches[0] : e;
+        startX = evt.clientX;
+        startY = evt.clientY;
+        initialLeft = parseFloat(cardEl.style.left) || 0;
+        initialTop = parseFloat(cardEl.style.top) || 0;
+        x = initialLeft;
+        y = initialTop;
+        cardEl.style.transition = 'none';
+
+        document.onmousemove = dragMove;
+        document.onmouseup = dragEnd;
+        document.ontouchmove = dragMove;
+        document.ontouchend = dragEnd;
+    }
+
+    function dragMove(e) {
+        if (!isDragging) return;
+        const evt = e.touches ? e.touches[0] : e;
+        const dx = evt.clientX - startX;
+        const dy = evt.clientY - startY;
+        x = initialLeft + dx;
+        y = initialTop + dy;
+
+        // Keep the whole card on the wall (its room is the wall minus one card,
+        // the same room stored positions are fractions of)
+        const room = wallRoom();
+        x = Math.min(Math.max(x, 0), room.w);
+        y = Math.min(Math.max(y, 0), room.h);
+
+        cardEl.style.left = x + 'px';
+        cardEl.style.top = y + 'px';
+    }
+
+    function dragEnd() {
+        if (!isDragging) return;
+        isDragging = false;
+        cardEl.classList.remove('dragging');
+        cardEl.style.transition = 'transform 0.1s';
+        document.onmousemove = null;
+        document.onmouseup = null;
+        document.ontouchmove = null;
+        document.ontouchend = null;
+
+        // Save new position (a plain click or double-click moves nothing)
+        if (x === initialLeft && y === initialTop) return;
+        const from = { ...storedPosition(cardEl), r: initialR };
+        const to = { ...toFraction({ x, y }), r: initialR };
+        cardEl.dataset.x = to.x;
+        cardEl.dataset.y = to.y;
+        persistMove(cardEl, id, from, to);
+    }
+
+    // Delete
+    cardEl.querySelector('.delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (confirm(t('card.confirmDelete'))) deleteCard(cardEl, id);
+    });
+
+    // Expand
+    cardEl.addEventListener('dblclick', () => expandCard(cardEl));
+
+    // Edit (expanded view)
+    cardEl.querySelector('.edit-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        startEditing(cardEl);
+    });
+
+    // Keyboard: Enter/Space expands, Delete deletes, arrows move (Shift for bigger steps)
+    let keyMoveFrom = null;
+    let keyMoveTimer = null;
+    cardEl.addEventListener('keydown', (e) => {
+        // Keys on the buttons and reply field inside the card are theirs
+        if (e.target !== cardEl) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            expandCard(cardEl);
+            return;
+        }
+        if (e.key === 'Delete' && !cardEl.classList.contains('locked')) {
+            e.preventDefault();
+            if (confirm(t('card.confirmDelete'))) deleteCard(cardEl, id);
+            return;
+        }
+
+        const direction = ARROW_DIRECTIONS[e.key];
+        if (!direction || e.ctrlKey || e.metaKey || e.altKey) return;
+        e.preventDefault();
+        if (cardEl.classList.contains('locked') || cardEl.classList.contains('expanded')) return;
+        if (arrangeMode !== 'free') {
+            showToast(t('card.freeModeOnly'));
+            return;
+        }
+
+        const pos = storedPosition(cardEl);
+        if (!keyMoveFrom) keyMoveFrom = { ...pos, r: initialR };
+        const step = e.shiftKey ? KEY_MOVE_STEP * 5 : KEY_MOVE_STEP;
+        animateCardTo(cardEl, {
+            x: roundFraction(pos.x + direction.x * step),
+            y: roundFraction(pos.y + direction.y * step)
+        });
+
+        // Held or repeated arrows become one save (and one undo step)
+        clearTimeout(keyMoveTimer);
+        keyMoveTimer = setTimeout(() => {
+            const from = keyMoveFrom;
+            const to = { ...storedPosition(cardEl), r: initialR };
+            keyMoveFrom = null;
+            if (from.x !== to.x || from.y !== to.y) persistMove(cardEl, id, from, to);
+        }, KEY_MOVE_SAVE_DELAY);
+    });
+
+    // Download/Save Image
+    cardEl.querySelector('.save-btn').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        let clone;
+        try {
+            // Clone strategy to avoid visual glitches and cropping
+            clone = cardEl.cloneNode(true);
+
+            // Clean up clone styles for capture
+            clone.classList.remove('printing', 'expanded', 'pending-sync', 'sync-failed');
+            clone.querySelectorAll('.card-thread, .social-badge').forEach(el => el.remove());
+            clone.style.position = 'fixed';
+            clone.style.left = '-9999px'; // Off-screen
+            clone.style.top = '0';
+            clone.style.transform = 'none';
+            clone.style.transition = 'none';
+            clone.style.zIndex = '99999';
+            clone.style.margin = '0';
+
+            // Remove control buttons from clone
+            clone.querySelectorAll('.delete-btn, .save-btn, .edit-btn').forEach(b => b.remove());
+
+            document.body.appendChild(clone);
+
+            // Wait a tick for DOM to update
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const canvas = await html2canvas(clone, {
+                scale: 2,
                 backgroundColor: null,
                 useCORS: true
             });
@@ -612,7 +2581,7 @@ function setupCardInteraction(cardEl, id, initialX, initialY, initialR) {
             link.click();
         } catch (err) {
             console.error(err);
-            alert('下載失敗');
+            showToast(t('card.downloadFailed'));
         } finally {
             if (clone && document.body.contains(clone)) {
                 document.body.removeChild(clone);
@@ -626,6 +2595,19 @@ window.MOOD_EMOJIS = {
     1: '😫', 2: '🙁', 3: '😐', 4: '🙂', 5: '😄'
 };
 
+// Spoken names of the moods (mood picker, card labels)
+window.MOOD_LABELS = {
+    1: t('mood.1'), 2: t('mood.2'), 3: t('mood.3'), 4: t('mood.4'), 5: t('mood.5')
+};
+
+// :shortcode: -> emoji, expanded in card text by formatCardText
+window.EMOJI_SHORTCODES = {
+    smile: '😄', sad: '😢', cry: '😭', angry: '😠', tired: '😫', sleepy: '😪', zzz: '💤',
+    heart: '❤️', star: '⭐', fire: '🔥', tada: '🎉', rocket: '🚀', bug: '🐛',
+    coffee: '☕', tea: '🍵', pizza: '🍕', sun: '☀️', rain: '🌧️', cloud: '☁️',
+    thumbsup: '👍', thumbsdown: '👎', clap: '👏', muscle: '💪', ok: '👌', '100': '💯'
+};
+
 window.PRESET_SVGS = [
     '<svg viewBox="0 0 100 100" width="100%" height="100%"><circle cx="50" cy="50" r="40" fill="#FFCC00"/><circle cx="35" cy="40" r="5" fill="#333"/><circle cx="65" cy="40" r="5" fill="#333"/><path d="M 30 65 Q 50 85 70 65" stroke="#333" stroke-width="4" fill="none"/></svg>',
     '<svg viewBox="0 0 100 100" width="100%" height="100%"><rect x="20" y="20" width="60" height="60" fill="#87CEEB"/><path d="M 20 80 L 40 50 L 60 70 L 80 40 L 80 80 Z" fill="#228B22"/><circle cx="70" cy="35" r="8" fill="#FFD700"/></svg>',
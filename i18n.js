@@ -0,0 +1,698 @@
+/**
+ * UI strings per locale, plus the lookup used by client.js.
+ *  - t('key', { name: value }) fills {name} placeholders; a key missing from a
+ *    locale falls back to zh-TW
+ *  - moodwall.html marks translatable elements with data-i18n (text),
+ *    data-i18n-title, data-i18n-aria-label and data-i18n-placeholder
+ *  - errors.<code> translate the `code` of API error bodies (lib/errors.js)
+ * The locale is the one picked in the wall toolbar, else the browser's language.
+ */
+const DEFAULT_LOCALE = 'zh-TW';
+const LOCALE_STORAGE_KEY = 'moodwall.locale';
+
+const I18N = {
+    'zh-TW': {
+        'locale.name': '中文',
+        'locale.label': '語言',
+        'page.title': '每日心情卡片牆',
+        'wall.label': '心情牆',
+        'wall.cards': '心情卡片',
+
+        'arrange.label': '排列方式',
+        'arrange.free': '自由排列',
+        'arrange.grid': '整齊排列',
+        'arrange.timeline': '時間軸',
+        'arrange.mood': '依心情分組',
+
+        'panel.close': '關閉',
+        'search.open': '搜尋卡片',
+        'search.title': '搜尋卡片',
+        'search.text': '卡片文字',
+        'search.textPlaceholder': '卡片文字…',
+        'search.mood': '心情',
+        'search.style': '樣式',
+        'search.allMoods': '全部心情',
+        'search.allStyles': '全部樣式',
+        'search.from': '開始日期',
+        'search.to': '結束日期',
+        'search.archiveMatches': '符合的過去卡片',
+        'search.hint': '輸入文字或選擇條件來搜尋',
+        'search.summary': '牆上 {wall} 張、過去 {archive} 張符合',
+        'search.summaryLimited': '（顯示最新 {shown} 張）',
+        'search.failed': '搜尋失敗：{message}',
+
+        'stats.open': '心情統計',
+        'stats.title': '心情統計',
+        'stats.last7': '最近 7 天',
+        'stats.last30': '最近 30 天',
+        'stats.last90': '最近 90 天',
+        'stats.daily': '每日',
+        'stats.weekly': '每週',
+        'stats.chart': '心情趨勢',
+        'stats.summary': '共 {total} 張卡片 · 平均心情 {emoji} {average}',
+        'stats.failed': '統計載入失敗：{message}',
+
+        'archive.open': '過去的卡片',
+        'archive.title': '過去的卡片',
+        'archive.snapshotPicker': '回顧某一天的牆',
+        'archive.pickDate': '選擇日期…',
+        'archive.noSnapshots': '還沒有紀錄',
+        'archive.snapshotOption': '{date} ({count} 張)',
+        'archive.more': '載入更多',
+        'archive.empty': '還沒有過去的卡片',
+        'archive.failed': '過去的卡片載入失敗：{message}',
+        'snapshot.banner': '{date} 的心情牆（唯讀）',
+        'snapshot.back': '回到今天',
+        'snapshot.empty': '這一天沒有卡片',
+        'snapshot.missing': '沒有 {date} 的紀錄',
+        'snapshot.failed': '載入失敗：{message}',
+
+        'typewriter.label': '打字機',
+        'typewriter.placeholder': '點此輸入心情...',
+        'typewriter.input': '輸入心情',
+        'edit.cancel': '✕ 取消編輯',
+        'edit.cancelTitle': '取消編輯 (Esc)',
+        'edit.gone': '這張卡片已經不在牆上了',
+        'edit.failed': '更新失敗：{message}',
+        'upload.button': '📷 上傳',
+        'upload.title': '上傳圖片',
+        'doodle.button': '✏️ 塗鴉',
+        'doodle.buttonTitle': '畫一張塗鴉當作卡片圖片',
+        'image.processing': '處理中...',
+        'image.ready': '✅ 已就緒',
+        'image.failed': '圖片處理失敗: {message}',
+        'image.tooLarge': '圖片過大無法壓縮',
+        'print.button': '🖨️ 印出卡片',
+        'print.update': '✏️ 更新卡片',
+        'print.full': '心情牆已滿 ({max}張)！請先刪除舊卡片。',
+        'print.empty': '請寫點東西或上傳圖片',
+        'print.archiveConfirm': '心情牆已滿 ({max}張)！\n按「確定」把最舊的卡片收進「過去的卡片」，按「取消」不印出。',
+        'print.archiveTitle': '心情牆已滿',
+        'print.archiveText': '心情牆已經有 {max} 張卡片了。要把哪一張收進「過去的卡片」？',
+        'print.archiveOldest': '收起最舊的',
+        'print.archivePick': '自己選一張',
+        'print.archivePickHint': '點選要收起的卡片，或用 Tab 移到卡片上按 Enter；按 Esc 取消。',
+        'style.label': '卡片樣式',
+        'style.polaroid': '📷 拍立得',
+        'style.sticky': '🟨 便利貼',
+        'style.postcard': '✉️ 明信片',
+        'style.ticket': '🎟️ 票根',
+        'style.index': '🗂️ 索引卡',
+        'mood.label': '心情',
+        'mood.1': '很糟',
+        'mood.2': '不太好',
+        'mood.3': '普通',
+        'mood.4': '不錯',
+        'mood.5': '很棒',
+
+        'card.delete': '刪除',
+        'card.deleteLabel': '刪除卡片',
+        'card.download': '下載',
+        'card.downloadLabel': '下載卡片圖片',
+        'card.edit': '✎ 編輯',
+        'card.editLabel': '編輯卡片',
+        'card.edited': '（已編輯）',
+        'card.labelMood': '{mood}的心情',
+        'card.labelEdited': '已編輯',
+        'card.labelSeparator': '，',
+        'card.label': '{meta}：{text}',
+        'card.labelPhoto': '{label}（附照片）',
+        'card.confirmDelete': '確定刪除這張卡片嗎？',
+        'card.saveFailed': '卡片未儲存：{message}',
+        'card.moveFailed': '移動失敗：{message}',
+        'card.deleteFailed': '刪除失敗：{message}',
+        'card.downloadFailed': '下載失敗',
+        'card.freeModeOnly': '切換到「自由排列」才能移動卡片',
+        'card.gone': '卡片已不在牆上',
+
+        'action.retry': '重試',
+        'action.undo': '復原',
+        'history.print': '印出卡片',
+        'history.move': '移動卡片',
+        'history.delete': '刪除卡片',
+        'history.edit': '編輯卡片',
+        'history.recorded': '已{action}',
+        'history.undone': '已復原：{action}',
+        'history.redone': '已重做：{action}',
+        'history.undoExpired': '太久了，無法復原',
+        'history.redoExpired': '太久了，無法重做',
+        'history.undoFailed': '無法復原：{message}',
+        'history.redoFailed': '無法重做：{message}',
+        'network.offline': '網路連線失敗',
+        'network.rateLimited': '操作太頻繁，請 {seconds} 秒後再試',
+        'sync.failed': '離線時的變更未能同步：{message}',
+
+        'reply.placeholder': '回覆…',
+        'reply.send': '送出',
+        'reply.empty': '還沒有人回覆，留句話吧',
+        'reply.failed': '回覆失敗：{message}',
+        'reaction.failed': '回應失敗：{message}',
+
+        'photo.title': '調整照片',
+        'photo.preview': '照片預覽，拖曳或用方向鍵移動裁切範圍',
+        'photo.crop': '裁切',
+        'photo.cropFrame': '卡片比例',
+        'photo.cropSquare': '正方形',
+        'photo.cropOriginal': '原始比例',
+        'photo.filter': '濾鏡',
+        'photo.filterNone': '原圖',
+        'photo.filterMono': '黑白',
+        'photo.filterWarm': '暖色',
+        'photo.filterFaded': '褪色',
+        'photo.rotate': '↻ 旋轉',
+        'photo.rotateTitle': '向右旋轉 90°',
+        'photo.cancel': '取消',
+        'photo.use': '使用這張',
+        'doodle.title': '塗鴉',
+        'doodle.canvas': '畫布',
+        'doodle.pens': '畫筆',
+        'doodle.black': '黑色',
+        'doodle.red': '紅色',
+        'doodle.blue': '藍色',
+        'doodle.green': '綠色',
+        'doodle.yellow': '黃色',
+        'doodle.eraser': '橡皮擦',
+        'doodle.undo': '↶ 復原',
+        'doodle.undoTitle': '復原上一筆 (Ctrl+Z)',
+        'doodle.clear': '清除',
+
+        'errors.admin_only': '只有管理員可以這麼做',
+        'errors.card_exists': '這張卡片已經存在',
+        'errors.card_not_deleted': '這張卡片沒有被刪除',
+        'errors.archive_card_not_found': '找不到要收起來的卡片',
+        'errors.device_token_required': '請重新整理頁面後再試',
+        'errors.delete_failed': '刪除失敗',
+        'errors.export_failed': '匯出失敗',
+        'errors.fetch_failed': '讀取失敗',
+        'errors.import_failed': '匯入失敗',
+        'errors.react_failed': '回應失敗',
+        'errors.reply_failed': '回覆失敗',
+        'errors.restore_failed': '復原失敗',
+        'errors.save_failed': '儲存失敗',
+        'errors.update_failed': '更新失敗',
+        'errors.image_too_large': '圖片太大',
+        'errors.invalid_image': '圖片格式不正確',
+        'errors.image_incomplete': '圖片資料不完整',
+        'errors.invalid_preset': '預設插圖編號不正確',
+        'errors.unsupported_image': '不支援這種圖片格式',
+        'errors.invalid_data': '資料格式不正確',
+        'errors.invalid_date': '日期不正確',
+        'errors.invalid_date_range': '日期範圍不正確',
+        'errors.invalid_id': '卡片編號不正確',
+        'errors.invalid_query': '搜尋條件不正確',
+        'errors.invalid_mood': '心情不正確',
+        'errors.invalid_style': '樣式不正確',
+        'errors.invalid_position': '位置不正確',
+        'errors.invalid_text': '文字格式不正確',
+        'errors.invalid_reaction': '不支援這個回應',
+        'errors.invalid_import': '備份檔無法匯入：{reason}',
+        'errors.unknown_fields': '不支援的欄位：{fields}',
+        'errors.no_changes': '沒有任何變更',
+        'errors.not_found': '找不到這張卡片',
+        'errors.not_your_card': '這不是你的卡片',
+        'errors.reply_empty': '回覆是空的',
+        'errors.reply_too_long': '回覆太長了',
+        'errors.reply_limit': '這張卡片的回覆已達上限 ({max} 則)',
+        'errors.text_too_long': '文字太長了',
+        'errors.card_limit': '心情牆已滿 ({max}張)',
+        'errors.storage_unavailable': '伺服器儲存空間無法使用',
+        'errors.restore_expired': '太久了，無法復原',
+        'errors.rate_limited': '操作太頻繁，請稍後再試',
+        'errors.wall_not_found': '找不到這面牆'
+    },
+
+    en: {
+        'locale.name': 'English',
+        'locale.label': 'Language',
+        'page.title': 'Daily Mood Wall',
+        'wall.label': 'Mood wall',
+        'wall.cards': 'Mood cards',
+
+        'arrange.label': 'Arrangement',
+        'arrange.free': 'Free',
+        'arrange.grid': 'Grid',
+        'arrange.timeline': 'Timeline',
+        'arrange.mood': 'By mood',
+
+        'panel.close': 'Close',
+        'search.open': 'Search cards',
+        'search.title': 'Search cards',
+        'search.text': 'Card text',
+        'search.textPlaceholder': 'Card text…',
+        'search.mood': 'Mood',
+        'search.style': 'Style',
+        'search.allMoods': 'All moods',
+        'search.allStyles': 'All styles',
+        'search.from': 'From',
+        'search.to': 'To',
+        'search.archiveMatches': 'Matching past cards',
+        'search.hint': 'Type some text or pick a filter to search',
+        'search.summary': '{wall} on the wall and {archive} past cards match',
+        'search.summaryLimited': ' (showing the latest {shown})',
+        'search.failed': 'Search failed: {message}',
+
+        'stats.open': 'Mood statistics',
+        'stats.title': 'Mood statistics',
+        'stats.last7': 'Last 7 days',
+        'stats.last30': 'Last 30 days',
+        'stats.last90': 'Last 90 days',
+        'stats.daily': 'Daily',
+        'stats.weekly': 'Weekly',
+        'stats.chart': 'Mood trend',
+        'stats.summary': '{total} cards · average mood {emoji} {average}',
+        'stats.failed': 'Could not load statistics: {message}',
+
+        'archive.open': 'Past cards',
+        'archive.title': 'Past cards',
+        'archive.snapshotPicker': 'Look back at a day',
+        'archive.pickDate': 'Pick a date…',
+        'archive.noSnapshots': 'Nothing recorded yet',
+        'archive.snapshotOption': '{date} ({count} cards)',
+        'archive.more': 'Load more',
+        'archive.empty': 'No past cards yet',
+        'archive.failed': 'Could not load past cards: {message}',
+        'snapshot.banner': 'Mood wall of {date} (read-only)',
+        'snapshot.back': 'Back to today',
+        'snapshot.empty': 'No cards on this day',
+        'snapshot.missing': 'Nothing recorded for {date}',
+        'snapshot.failed': 'Loading failed: {message}',
+
+        'typewriter.label': 'Typewriter',
+        'typewriter.placeholder': 'Click here to type your mood...',
+        'typewriter.input': 'Type your mood',
+        'edit.cancel': '✕ Cancel editing',
+        'edit.cancelTitle': 'Cancel editing (Esc)',
+        'edit.gone': 'This card is no longer on the wall',
+        'edit.failed': 'Update failed: {message}',
+        'upload.button': '📷 Upload',
+        'upload.title': 'Upload a picture',
+        'doodle.button': '✏️ Doodle',
+        'doodle.buttonTitle': 'Draw a doodle as the card picture',
+        'image.processing': 'Processing...',
+        'image.ready': '✅ Ready',
+        'image.failed': 'Could not process the picture: {message}',
+        'image.tooLarge': 'The picture is too large to compress',
+        'print.button': '🖨️ Print card',
+        'print.update': '✏️ Update card',
+        'print.full': 'The wall is full ({max} cards)! Delete an old card first.',
+        'print.empty': 'Write something or upload a picture',
+        'print.archiveConfirm': 'The wall is full ({max} cards)!\nPress OK to move the oldest card to "Past cards", or Cancel to not print.',
+        'print.archiveTitle': 'The wall is full',
+        'print.archiveText': 'The wall already has {max} cards. Which one should move to "Past cards"?',
+        'print.archiveOldest': 'Archive the oldest',
+        'print.archivePick': 'Pick one',
+        'print.archivePickHint': 'Click the card to archive, or Tab to it and press Enter. Esc cancels.',
+        'style.label': 'Card style',
+        'style.polaroid': '📷 Polaroid',
+        'style.sticky': '🟨 Sticky note',
+        'style.postcard': '✉️ Postcard',
+        'style.ticket': '🎟️ Ticket',
+        'style.index': '🗂️ Index card',
+        'mood.label': 'Mood',
+        'mood.1': 'Awful',
+        'mood.2': 'Not great',
+        'mood.3': 'Okay',
+        'mood.4': 'Good',
+        'mood.5': 'Great',
+
+        'card.delete': 'Delete',
+        'card.deleteLabel': 'Delete card',
+        'card.download': 'Download',
+        'card.downloadLabel': 'Download card picture',
+        'card.edit': '✎ Edit',
+        'card.editLabel': 'Edit card',
+        'card.edited': ' (edited)',
+        'card.labelMood': 'Feeling {mood}',
+        'card.labelEdited': 'edited',
+        'card.labelSeparator': ', ',
+        'card.label': '{meta}: {text}',
+        'card.labelPhoto': '{label} (with picture)',
+        'card.confirmDelete': 'Delete this card?',
+        'card.saveFailed': 'Card not saved: {message}',
+        'card.moveFailed': 'Move failed: {message}',
+        'card.deleteFailed': 'Delete failed: {message}',
+        'card.downloadFailed': 'Download failed',
+        'card.freeModeOnly': 'Switch to "Free" arrangement to move cards',
+        'card.gone': 'The card is no longer on the wall',
+
+        'action.retry': 'Retry',
+        'action.undo': 'Undo',
+        'history.print': 'print card',
+        'history.move': 'move card',
+        'history.delete': 'delete card',
+        'history.edit': 'edit card',
+        'history.recorded': 'Done: {action}',
+        'history.undone': 'Undone: {action}',
+        'history.redone': 'Redone: {action}',
+        'history.undoExpired': 'Too late to undo',
+        'history.redoExpired': 'Too late to redo',
+        'history.undoFailed': 'Could not undo: {message}',
+        'history.redoFailed': 'Could not redo: {message}',
+        'network.offline': 'Network connection failed',
+        'network.rateLimited': 'Too many actions, try again in {seconds} s',
+        'sync.failed': 'A change made offline could not be synced: {message}',
+
+        'reply.placeholder': 'Reply…',
+        'reply.send': 'Send',
+        'reply.empty': 'No replies yet, leave a note',
+        'reply.failed': 'Reply failed: {message}',
+        'reaction.failed': 'Reaction failed: {message}',
+
+        'photo.title': 'Adjust picture',
+        'photo.preview': 'Picture preview, drag or use the arrow keys to move the crop',
+        'photo.crop': 'Crop',
+        'photo.cropFrame': 'Card frame',
+        'photo.cropSquare': 'Square',
+        'photo.cropOriginal': 'Original',
+        'photo.filter': 'Filter',
+        'photo.filterNone': 'None',
+        'photo.filterMono': 'Mono',
+        'photo.filterWarm': 'Warm',
+        'photo.filterFaded': 'Faded',
+        'photo.rotate': '↻ Rotate',
+        'photo.rotateTitle': 'Rotate 90° clockwise',
+        'photo.cancel': 'Cancel',
+        'photo.use': 'Use this',
+        'doodle.title': 'Doodle',
+        'doodle.canvas': 'Canvas',
+        'doodle.pens': 'Pens',
+        'doodle.black': 'Black',
+        'doodle.red': 'Red',
+        'doodle.blue': 'Blue',
+        'doodle.green': 'Green',
+        'doodle.yellow': 'Yellow',
+        'doodle.eraser': 'Eraser',
+        'doodle.undo': '↶ Undo',
+        'doodle.undoTitle': 'Undo last stroke (Ctrl+Z)',
+        'doodle.clear': 'Clear',
+
+        'errors.admin_only': 'Only an admin can do that',
+        'errors.card_exists': 'This card already exists',
+        'errors.card_not_deleted': 'This card is not deleted',
+        'errors.archive_card_not_found': 'The card to put away was not found',
+        'errors.device_token_required': 'Please reload the page and try again',
+        'errors.delete_failed': 'Delete failed',
+        'errors.export_failed': 'Export failed',
+        'errors.fetch_failed': 'Loading failed',
+        'errors.import_failed': 'Import failed',
+        'errors.react_failed': 'Reaction failed',
+        'errors.reply_failed': 'Reply failed',
+        'errors.restore_failed': 'Restore failed',
+        'errors.save_failed': 'Save failed',
+        'errors.update_failed': 'Update failed',
+        'errors.image_too_large': 'The picture is too large',
+        'errors.invalid_image': 'The picture data is invalid',
+        'errors.image_incomplete': 'The picture data is incomplete',
+        'errors.invalid_preset': 'The preset picture number is invalid',
+        'errors.unsupported_image': 'This picture format is not supported',
+        'errors.invalid_data': 'Invalid data',
+        'errors.invalid_date': 'Invalid date',
+        'errors.invalid_date_range': 'Invalid date range',
+        'errors.invalid_id': 'Invalid card id',
+        'errors.invalid_query': 'Invalid search filter',
+        'errors.invalid_mood': 'Invalid mood',
+        'errors.invalid_style': 'Invalid style',
+        'errors.invalid_position': 'Invalid position',
+        'errors.invalid_text': 'Invalid text',
+        'errors.invalid_reaction': 'This reaction is not supported',
+        'errors.invalid_import': 'The backup could not be imported: {reason}',
+        'errors.unknown_fields': 'Unsupported fields: {fields}',
+        'errors.no_changes': 'Nothing changed',
+        'errors.not_found': 'Card not found',
+        'errors.not_your_card': 'This is not your card',
+        'errors.reply_empty': 'The reply is empty',
+        'errors.reply_too_long': 'The reply is too long',
+        'errors.reply_limit': 'This card has reached its reply limit ({max})',
+        'errors.text_too_long': 'The text is too long',
+        'errors.card_limit': 'The wall is full ({max} cards)',
+        'errors.storage_unavailable': 'Server storage is unavailable',
+        'errors.restore_expired': 'Too late to restore',
+        'errors.rate_limited': 'Too many actions, try again later',
+        'errors.wall_not_found': 'Wall not found'
+    },
+
+    ja: {
+        'locale.name': '日本語',
+        'locale.label': '言語',
+        'page.title': '毎日の気分カードウォール',
+        'wall.label': '気分ウォール',
+        'wall.cards': '気分カード',
+
+        'arrange.label': '並べ方',
+        'arrange.free': '自由に並べる',
+        'arrange.grid': '整列',
+        'arrange.timeline': 'タイムライン',
+        'arrange.mood': '気分ごと',
+
+        'panel.close': '閉じる',
+        'search.open': 'カードを検索',
+        'search.title': 'カードを検索',
+        'search.text': 'カードの文字',
+        'search.textPlaceholder': 'カードの文字…',
+        'search.mood': '気分',
+        'search.style': 'スタイル',
+        'search.allMoods': 'すべての気分',
+        'search.allStyles': 'すべてのスタイル',
+        'search.from': '開始日',
+        'search.to': '終了日',
+        'search.archiveMatches': '一致した過去のカード',
+        'search.hint': '文字を入力するか条件を選んで検索',
+        'search.summary': 'ウォール上 {wall} 枚、過去 {archive} 枚が一致',
+        'search.summaryLimited': '（最新 {shown} 枚を表示）',
+        'search.failed': '検索に失敗しました：{message}',
+
+        'stats.open': '気分の統計',
+        'stats.title': '気分の統計',
+        'stats.last7': '過去 7 日',
+        'stats.last30': '過去 30 日',
+        'stats.last90': '過去 90 日',
+        'stats.daily': '日ごと',
+        'stats.weekly': '週ごと',
+        'stats.chart': '気分の推移',
+        'stats.summary': '合計 {total} 枚 · 平均の気分 {emoji} {average}',
+        'stats.failed': '統計を読み込めませんでした：{message}',
+
+        'archive.open': '過去のカード',
+        'archive.title': '過去のカード',
+        'archive.snapshotPicker': 'ある日のウォールを振り返る',
+        'archive.pickDate': '日付を選択…',
+        'archive.noSnapshots': 'まだ記録がありません',
+        'archive.snapshotOption': '{date} ({count} 枚)',
+        'archive.more': 'もっと読み込む',
+        'archive.empty': '過去のカードはまだありません',
+        'archive.failed': '過去のカードを読み込めませんでした：{message}',
+        'snapshot.banner': '{date} の気分ウォール（閲覧のみ）',
+        'snapshot.back': '今日に戻る',
+        'snapshot.empty': 'この日のカードはありません',
+        'snapshot.missing': '{date} の記録はありません',
+        'snapshot.failed': '読み込みに失敗しました：{message}',
+
+        'typewriter.label': 'タイプライター',
+        'typewriter.placeholder': 'ここをクリックして気分を入力...',
+        'typewriter.input': '気分を入力',
+        'edit.cancel': '✕ 編集をやめる',
+        'edit.cancelTitle': '編集をやめる (Esc)',
+        'edit.gone': 'このカードはもうウォールにありません',
+        'edit.failed': '更新に失敗しました：{message}',
+        'upload.button': '📷 アップロード',
+        'upload.title': '画像をアップロード',
+        'doodle.button': '✏️ 落書き',
+        'doodle.buttonTitle': '落書きをカードの画像にする',
+        'image.processing': '処理中...',
+        'image.ready': '✅ 準備完了',
+        'image.failed': '画像を処理できませんでした: {message}',
+        'image.tooLarge': '画像が大きすぎて圧縮できません',
+        'print.button': '🖨️ カードを印刷',
+        'print.update': '✏️ カードを更新',
+        'print.full': 'ウォールがいっぱいです ({max}枚)！先に古いカードを削除してください。',
+        'print.empty': '何か書くか画像をアップロードしてください',
+        'print.archiveConfirm': 'ウォールがいっぱいです ({max}枚)！\n「OK」で一番古いカードを「過去のカード」にしまい、「キャンセル」で印刷をやめます。',
+        'print.archiveTitle': 'ウォールがいっぱいです',
+        'print.archiveText': 'ウォールにはもう {max} 枚のカードがあります。どれを「過去のカード」にしまいますか？',
+        'print.archiveOldest': '一番古いカードをしまう',
+        'print.archivePick': '自分で選ぶ',
+        'print.archivePickHint': 'しまうカードをクリックするか、Tab でカードに移動して Enter を押してください。Esc でキャンセル。',
+        'style.label': 'カードのスタイル',
+        'style.polaroid': '📷 ポラロイド',
+        'style.sticky': '🟨 付箋',
+        'style.postcard': '✉️ はがき',
+        'style.ticket': '🎟️ チケット',
+        'style.index': '🗂️ 情報カード',
+        'mood.label': '気分',
+        'mood.1': '最悪',
+        'mood.2': 'いまいち',
+        'mood.3': 'ふつう',
+        'mood.4': 'いい感じ',
+        'mood.5': '最高',
+
+        'card.delete': '削除',
+        'card.deleteLabel': 'カードを削除',
+        'card.download': 'ダウンロード',
+        'card.downloadLabel': 'カードの画像をダウンロード',
+        'card.edit': '✎ 編集',
+        'card.editLabel': 'カードを編集',
+        'card.edited': '（編集済み）',
+        'card.labelMood': '気分：{mood}',
+        'card.labelEdited': '編集済み',
+        'card.labelSeparator': '、',
+        'card.label': '{meta}：{text}',
+        'card.labelPhoto': '{label}（画像あり）',
+        'card.confirmDelete': 'このカードを削除しますか？',
+        'card.saveFailed': 'カードが保存されていません：{message}',
+        'card.moveFailed': '移動に失敗しました：{message}',
+        'card.deleteFailed': '削除に失敗しました：{message}',
+        'card.downloadFailed': 'ダウンロードに失敗しました',
+        'card.freeModeOnly': 'カードを動かすには「自由に並べる」に切り替えてください',
+        'card.gone': 'カードはもうウォールにありません',
+
+        'action.retry': '再試行',
+        'action.undo': '元に戻す',
+        'history.print': 'カードを印刷',
+        'history.move': 'カードを移動',
+        'history.delete': 'カードを削除',
+        'history.edit': 'カードを編集',
+        'history.recorded': '{action}しました',
+        'history.undone': '元に戻しました：{action}',
+        'history.redone': 'やり直しました：{action}',
+        'history.undoExpired': '時間が経ちすぎて元に戻せません',
+        'history.redoExpired': '時間が経ちすぎてやり直せません',
+        'history.undoFailed': '元に戻せませんでした：{message}',
+        'history.redoFailed': 'やり直せませんでした：{message}',
+        'network.offline': 'ネットワークに接続できません',
+        'network.rateLimited': '操作が多すぎます。{seconds} 秒後にもう一度お試しください',
+        'sync.failed': 'オフライン中の変更を同期できませんでした：{message}',
+
+        'reply.placeholder': '返信…',
+        'reply.send': '送信',
+        'reply.empty': 'まだ返信はありません。ひとこと残しましょう',
+        'reply.failed': '返信に失敗しました：{message}',
+        'reaction.failed': 'リアクションに失敗しました：{message}',
+
+        'photo.title': '写真を調整',
+        'photo.preview': '写真のプレビュー。ドラッグか矢印キーで切り抜き範囲を動かせます',
+        'photo.crop': '切り抜き',
+        'photo.cropFrame': 'カードの比率',
+        'photo.cropSquare': '正方形',
+        'photo.cropOriginal': '元の比率',
+        'photo.filter': 'フィルター',
+        'photo.filterNone': 'なし',
+        'photo.filterMono': 'モノクロ',
+        'photo.filterWarm': '暖色',
+        'photo.filterFaded': '色あせ',
+        'photo.rotate': '↻ 回転',
+        'photo.rotateTitle': '右に 90° 回転',
+        'photo.cancel': 'キャンセル',
+        'photo.use': 'これを使う',
+        'doodle.title': '落書き',
+        'doodle.canvas': 'キャンバス',
+        'doodle.pens': 'ペン',
+        'doodle.black': '黒',
+        'doodle.red': '赤',
+        'doodle.blue': '青',
+        'doodle.green': '緑',
+        'doodle.yellow': '黄',
+        'doodle.eraser': '消しゴム',
+        'doodle.undo': '↶ 元に戻す',
+        'doodle.undoTitle': '最後の一筆を元に戻す (Ctrl+Z)',
+        'doodle.clear': '消去',
+
+        'errors.admin_only': '管理者だけが実行できます',
+        'errors.card_exists': 'このカードはすでに存在します',
+        'errors.card_not_deleted': 'このカードは削除されていません',
+        'errors.archive_card_not_found': 'しまうカードが見つかりません',
+        'errors.device_token_required': 'ページを再読み込みしてもう一度お試しください',
+        'errors.delete_failed': '削除に失敗しました',
+        'errors.export_failed': 'エクスポートに失敗しました',
+        'errors.fetch_failed': '読み込みに失敗しました',
+        'errors.import_failed': 'インポートに失敗しました',
+        'errors.react_failed': 'リアクションに失敗しました',
+        'errors.reply_failed': '返信に失敗しました',
+        'errors.restore_failed': '復元に失敗しました',
+        'errors.save_failed': '保存に失敗しました',
+        'errors.update_failed': '更新に失敗しました',
+        'errors.image_too_large': '画像が大きすぎます',
+        'errors.invalid_image': '画像データが正しくありません',
+        'errors.image_incomplete': '画像データが不完全です',
+        'errors.invalid_preset': 'プリセットイラストの番号が正しくありません',
+        'errors.unsupported_image': 'この画像形式には対応していません',
+        'errors.invalid_data': 'データ形式が正しくありません',
+        'errors.invalid_date': '日付が正しくありません',
+        'errors.invalid_date_range': '日付の範囲が正しくありません',
+        'errors.invalid_id': 'カード ID が正しくありません',
+        'errors.invalid_query': '検索条件が正しくありません',
+        'errors.invalid_mood': '気分が正しくありません',
+        'errors.invalid_style': 'スタイルが正しくありません',
+        'errors.invalid_position': '位置が正しくありません',
+        'errors.invalid_text': '文字の形式が正しくありません',
+        'errors.invalid_reaction': 'このリアクションには対応していません',
+        'errors.invalid_import': 'バックアップをインポートできません：{reason}',
+        'errors.unknown_fields': '対応していない項目：{fields}',
+        'errors.no_changes': '変更はありません',
+        'errors.not_found': 'カードが見つかりません',
+        'errors.not_your_card': 'あなたのカードではありません',
+        'errors.reply_empty': '返信が空です',
+        'errors.reply_too_long': '返信が長すぎます',
+        'errors.reply_limit': 'このカードの返信は上限に達しました ({max} 件)',
+        'errors.text_too_long': '文字が長すぎます',
+        'errors.card_limit': 'ウォールがいっぱいです ({max}枚)',
+        'errors.storage_unavailable': 'サーバーのストレージが使えません',
+        'errors.restore_expired': '時間が経ちすぎて復元できません',
+        'errors.rate_limited': '操作が多すぎます。しばらくしてからお試しください',
+        'errors.wall_not_found': 'ウォールが見つかりません'
+    }
+};
+
+// Saved pick first, then the browser's languages (any Chinese gets zh-TW, the closest we have)
+function detectLocale() {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (I18N[saved]) return saved;
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+    for (const language of languages) {
+        const lower = language.toLowerCase();
+        if (lower.startsWith('zh')) return 'zh-TW';
+        const base = lower.split('-')[0];
+        if (I18N[base]) return base;
+    }
+    return DEFAULT_LOCALE;
+}
+
+const LOCALE = detectLocale();
+
+function hasTranslation(key) {
+    return key in I18N[LOCALE] || key in I18N[DEFAULT_LOCALE];
+}
+
+/**
+ * Translated string for `key` with {name} placeholders filled from `params`.
+ * @param {string} key
+ * @param {object} [params]
+ */
+function t(key, params = {}) {
+    const text = I18N[LOCALE][key] !== undefined ? I18N[LOCALE][key] : I18N[DEFAULT_LOCALE][key];
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+}
+
+/**
+ * Fills in the data-i18n* attributes under `root`.
+ */
+function translatePage(root = document) {
+    const attributes = { 'data-i18n-title': 'title', 'data-i18n-aria-label': 'aria-label', 'data-i18n-placeholder': 'placeholder' };
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    Object.entries(attributes).forEach(([source, target]) => {
+        root.querySelectorAll(`[${source}]`).forEach(el => el.setAttribute(target, t(el.getAttribute(source))));
+    });
+}
+
+/**
+ * Saves the picked locale and reloads, so every string (including ones
+ * already rendered on cards and in toasts) comes back in the new language.
+ * The caller saves anything unsaved first (client.js keeps the typewriter draft).
+ */
+function setLocale(locale) {
+    if (!I18N[locale] || locale === LOCALE) return;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    window.location.reload();
+}
+
+document.documentElement.lang = LOCALE;
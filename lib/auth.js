@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { apiError } = require('./errors');
+
+const DEVICE_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Owner ids are derived from the device token, so cards can expose their owner
+ * without revealing the token that proves it.
+ */
+function ownerIdFor(token) {
+    return sha256(token).slice(0, 24);
+}
+
+/**
+ * Optional auth layer.
+ * Every visitor gets an anonymous device token (X-Device-Token header) that marks
+ * the cards they print. When AUTH_ENABLED is on, only the owner or an admin
+ * (X-Admin-Token matching ADMIN_TOKEN) may move or delete a card.
+ * @param {{enabled: boolean, adminToken?: string}} options
+ */
+function createAuth({ enabled, adminToken }) {
+    const adminHash = adminToken ? sha256(adminToken) : null;
+
+    function isAdminToken(token) {
+        if (!adminHash || typeof token !== 'string' || !token) return false;
+        // Compare fixed-length hashes so the check takes constant time
+        return crypto.timingSafeEqual(Buffer.from(sha256(token)), Buffer.from(adminHash));
+    }
+
+    // Middleware: attaches req.auth = { ownerId, isAdmin }
+    function identify(req, res, next) {
+        const deviceToken = req.get('X-Device-Token');
+        req.auth = {
+            ownerId: deviceToken && DEVICE_TOKEN_PATTERN.test(deviceToken) ? ownerIdFor(deviceToken) : null,
+            isAdmin: isAdminToken(req.get('X-Admin-Token'))
+        };
+        next();
+    }
+
+    // Middleware for write routes: with auth on, anonymous writes need a device token
+    function requireIdentity(req, res, next) {
+        if (enabled && !req.auth.ownerId && !req.auth.isAdmin) {
+            return res.status(401).json(apiError('device_token_required'));
+        }
+        next();
+    }
+
+    function canModify(auth, card) {
+        if (!enabled || auth.isAdmin) return true;
+        return !!card.owner && card.owner === auth.ownerId;
+    }
+
+    /**
+     * GET /api/session: returns who the caller is, issuing a new device token
+     * on the first visit (nothing is stored server-side).
+     */
+    function session(req, res) {
+        const body = { authEnabled: enabled, admin: req.auth.isAdmin, ownerId: req.auth.ownerId };
+        if (!body.ownerId) {
+            body.token = crypto.randomBytes(32).toString('hex');
+            body.ownerId = ownerIdFor(body.token);
+        }
+        res.set('Cache-Control', 'no-store');
+        res.json(body);
+    }
+
+    return { enabled, identify, requireIdentity, canModify, session };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,64 @@
+// Every API error body is { error, code[, params] }: `code` is what the browser
+// translates (errors.* in i18n.js), `error` is readable English for logs and scripts.
+// Messages with a value in them are functions of the params.
+const ERRORS = {
+    admin_only: 'Admin only',
+    archive_card_not_found: 'Card to archive not found',
+    card_exists: 'Card already exists',
+    card_limit: ({ max }) => `Card limit reached (${max})`,
+    card_not_deleted: 'Card is not deleted',
+    delete_failed: 'Failed to delete',
+    device_token_required: 'Device token required',
+    export_failed: 'Failed to export',
+    fetch_failed: 'Failed to fetch',
+    image_incomplete: 'Image header and parts must be sent together',
+    image_too_large: 'Image too large',
+    import_failed: 'Failed to import',
+    invalid_data: 'Invalid data format',
+    invalid_date: ({ param }) => `Invalid ${param}`,
+    invalid_date_range: 'Invalid date range',
+    invalid_id: 'Invalid id',
+    invalid_image: 'Invalid image data',
+    invalid_import: ({ reason }) => `Invalid import: ${reason}`,
+    invalid_mood: 'Invalid mood',
+    invalid_position: 'Position must be a number',
+    invalid_preset: 'Invalid preset',
+    invalid_query: ({ param }) => `Invalid ${param}`,
+    invalid_reaction: 'Invalid reaction',
+    invalid_style: 'Invalid style',
+    invalid_text: 'Text must be a string',
+    no_changes: 'No changes',
+    not_found: 'Not found',
+    not_your_card: 'Not your card',
+    rate_limited: 'Too many requests',
+    react_failed: 'Failed to react',
+    reply_empty: 'Reply is empty',
+    reply_failed: 'Failed to reply',
+    reply_limit: ({ max }) => `Reply limit reached (${max})`,
+    reply_too_long: 'Reply too long',
+    restore_expired: 'Too late to restore',
+    restore_failed: 'Failed to restore',
+    save_failed: 'Failed to save',
+    storage_unavailable: 'Storage unavailable',
+    text_too_long: 'Text too long',
+    unknown_fields: ({ fields }) => `Unknown fields: ${fields}`,
+    unsupported_image: 'Unsupported image type',
+    update_failed: 'Failed to update',
+    wall_not_found: 'Wall not found'
+};
+
+/**
+ * Builds an API error body from its code.
+ * @param {string} code - Key of ERRORS
+ * @param {object} [params] - Values for the message, also passed on to the client
+ * @returns {{error: string, code: string, params?: object}}
+ */
+function apiError(code, params) {
+    const message = ERRORS[code];
+    if (!message) throw new Error(`Unknown error code "${code}"`);
+    const body = { error: typeof message === 'function' ? message(params) : message, code };
+    if (params) body.params = params;
+    return body;
+}
+
+module.exports = { apiError };
@@ -0,0 +1,56 @@
+// Heartbeat keeps idle connections open through proxies that drop silent streams
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Server-Sent Events hub.
+ * Clients subscribe per wall; routes publish after each successful write.
+ */
+function createEventHub() {
+    const clients = new Map(); // wallId -> Set<res>
+
+    /**
+     * Turns the response into an SSE stream for the given wall.
+     * @param {string} wallId
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     */
+    function subscribe(wallId, req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable nginx buffering
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        if (!clients.has(wallId)) clients.set(wallId, new Set());
+        const wallClients = clients.get(wallId);
+        wallClients.add(res);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            wallClients.delete(res);
+            if (wallClients.size === 0) clients.delete(wallId);
+        });
+    }
+
+    /**
+     * Sends an event to every client watching the wall.
+     * @param {string} wallId
+     * @param {string} type - e.g. 'created', 'updated', 'deleted'
+     * @param {object} data
+     */
+    function publish(wallId, type, data) {
+        const wallClients = clients.get(wallId);
+        if (!wallClients) return;
+        const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+        wallClients.forEach(res => res.write(message));
+    }
+
+    return { subscribe, publish };
+}
+
+module.exports = { createEventHub };
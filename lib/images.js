@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const IMAGE_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif' };
+const IMAGE_PARTS = 3;
+const IMAGE_HEADER_PATTERN = /^data:image\/(\w+);base64,$/;
+// Blob keys end in "-<hash>.<ext>"; the hash doubles as ETag and URL version
+const KEY_VERSION_PATTERN = /-([a-f0-9]{16})\.(\w+)$/;
+
+// Same split as the client's splitBase64: the image spans three Sheets columns
+function splitBase64(str, n) {
+    const len = Math.ceil(str.length / n);
+    const arr = [];
+    for (let i = 0; i < n; i++) arr.push(str.slice(i * len, (i + 1) * len));
+    return arr;
+}
+
+function shortHash(data) {
+    return crypto.createHash('sha1').update(data).digest('hex').slice(0, 16);
+}
+
+function typeForExtension(ext) {
+    return Object.keys(IMAGE_EXTENSIONS).find(t => IMAGE_EXTENSIONS[t] === ext) || ext;
+}
+
+/**
+ * Decodes a data-URL image split into header + parts.
+ * @returns {{type: string, data: Buffer}|null} null when the card has no image
+ */
+function decodeImage(header, parts) {
+    const match = IMAGE_HEADER_PATTERN.exec(header || '');
+    if (!match || !Array.isArray(parts) || parts.length === 0) return null;
+    return { type: match[1], data: Buffer.from(parts.join(''), 'base64') };
+}
+
+/**
+ * Version string of a card's image, or null if it has none. Legacy cards
+ * (header + parts still in the row) are versioned by their base64 text.
+ */
+function imageVersion(card) {
+    if (card.image) {
+        const match = KEY_VERSION_PATTERN.exec(card.image);
+        return match ? match[1] : null;
+    }
+    if (!decodeImage(card.header, card.parts)) return null;
+    return shortHash(card.parts.join(''));
+}
+
+/**
+ * The card as sent to browsers: no base64, just a versioned image URL
+ * (and no internal bookkeeping such as deletedAt).
+ * @param {object} card - Stored card
+ * @param {string} basePath - Card route of its wall, e.g. "/api/walls/squad-a/cards"
+ */
+function publicCard(card, basePath) {
+    const { header, parts, image, deletedAt, ...rest } = card;
+    const version = imageVersion(card);
+    if (!version) return rest;
+    return { ...rest, imageUrl: `${basePath}/${encodeURIComponent(card.id)}/image?v=${version}` };
+}
+
+/**
+ * Card images on top of a blob store (storage/blobs.js). Stored cards carry an
+ * `image` blob key and empty header/parts; cards saved before images moved out
+ * of the rows still have header/parts and keep working everywhere.
+ */
+function createImages(blobs) {
+    return {
+        /**
+         * Moves an uploaded header/parts image into the blob store.
+         * @returns {Promise<{image: string, header: string, parts: string[]}>} Fields to store on the card
+         */
+        async store(wallId, cardId, header, parts) {
+            const decoded = decodeImage(header, parts);
+            if (!decoded) return { image: '', header: '', parts: [] };
+
+            const ext = IMAGE_EXTENSIONS[decoded.type] || decoded.type;
+            const key = `${wallId}/${cardId}-${shortHash(decoded.data)}.${ext}`;
+            await blobs.put(key, decoded.data);
+            return { image: key, header: '', parts: [] };
+        },
+
+        /**
+         * @returns {Promise<{data: Buffer, contentType: string, version: string}|null>}
+         */
+        async load(card) {
+            if (card.image) {
+                const data = await blobs.get(card.image);
+                const match = KEY_VERSION_PATTERN.exec(card.image);
+                if (!data || !match) return null;
+                return { data, contentType: `image/${typeForExtension(match[2])}`, version: match[1] };
+            }
+            const decoded = decodeImage(card.header, card.parts);
+            if (!decoded) return null;
+            return { data: decoded.data, contentType: `image/${decoded.type}`, version: imageVersion(card) };
+        },
+
+        async remove(card) {
+            if (card.image) await blobs.remove(card.image);
+        },
+
+        /**
+         * The card with its image back inline as header/parts (for self-contained exports).
+         */
+        async inline(card) {
+            const { image, ...rest } = card;
+            if (!image) return rest;
+
+            const data = await blobs.get(image);
+            const match = KEY_VERSION_PATTERN.exec(image);
+            if (!data || !match) return { ...rest, header: '', parts: [] };
+            return {
+                ...rest,
+                header: `data:image/${typeForExtension(match[2])};base64,`,
+                parts: splitBase64(data.toString('base64'), IMAGE_PARTS)
+            };
+        }
+    };
+}
+
+module.exports = { IMAGE_EXTENSIONS, IMAGE_PARTS, splitBase64, decodeImage, publicCard, createImages };
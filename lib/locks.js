@@ -0,0 +1,24 @@
+/**
+ * Per-key async lock: tasks for the same key run one at a time, in call order.
+ * Used for read-check-write sequences on a wall (the card limit) and for the
+ * storage adapters' writes (per file / tab), which would otherwise interleave
+ * between concurrent requests. It only covers this process, so run a single
+ * server instance per storage backend.
+ * @returns {(key: string, task: () => Promise<T>) => Promise<T>}
+ */
+function createLock() {
+    const tails = new Map();
+
+    return function withLock(key, task) {
+        const run = (tails.get(key) || Promise.resolve()).then(task);
+        // The next task waits for this one, whether it succeeds or fails
+        const tail = run.catch(() => { });
+        tails.set(key, tail);
+        tail.then(() => {
+            if (tails.get(key) === tail) tails.delete(key);
+        });
+        return run;
+    };
+}
+
+module.exports = { createLock };
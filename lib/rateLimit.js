@@ -0,0 +1,54 @@
+const { apiError } = require('./errors');
+
+/**
+ * Token-bucket rate limiter middleware. A client may make `max` requests in a
+ * burst, refilled evenly over `windowMs`; past that it gets 429 with a
+ * Retry-After header (seconds). max <= 0 turns the limiter off.
+ * Every request counts against its device token (req.auth.ownerId) and, since
+ * anyone can make up a new token, also against its IP, which allows
+ * `max * devicesPerIp` so a school or office behind one address still fits.
+ * @param {{max: number, windowMs: number, devicesPerIp?: number}} options
+ */
+function createRateLimiter({ max, windowMs, devicesPerIp = 1 }) {
+    const buckets = new Map(); // client key -> { tokens, limit, updatedAt }
+
+    function refilled(bucket, now) {
+        return Math.min(bucket.limit, bucket.tokens + (now - bucket.updatedAt) * bucket.limit / windowMs);
+    }
+
+    function bucketFor(key, limit, now) {
+        const bucket = buckets.get(key) || { tokens: limit, limit, updatedAt: now };
+        bucket.tokens = refilled(bucket, now);
+        bucket.updatedAt = now;
+        buckets.set(key, bucket);
+        return bucket;
+    }
+
+    // Clients whose bucket has filled up again are forgotten
+    if (max > 0) {
+        setInterval(() => {
+            const now = Date.now();
+            buckets.forEach((bucket, key) => {
+                if (refilled(bucket, now) >= bucket.limit) buckets.delete(key);
+            });
+        }, windowMs).unref();
+    }
+
+    return function rateLimit(req, res, next) {
+        if (max <= 0) return next();
+
+        const now = Date.now();
+        const checked = [bucketFor(`ip:${req.ip}`, max * devicesPerIp, now)];
+        if (req.auth && req.auth.ownerId) checked.push(bucketFor(`device:${req.auth.ownerId}`, max, now));
+
+        const empty = checked.find(bucket => bucket.tokens < 1);
+        if (!empty) {
+            checked.forEach(bucket => { bucket.tokens -= 1; });
+            return next();
+        }
+        res.set('Retry-After', String(Math.ceil((1 - empty.tokens) * windowMs / empty.limit / 1000)));
+        res.status(429).json(apiError('rate_limited'));
+    };
+}
+
+module.exports = { createRateLimiter };
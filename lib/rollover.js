@@ -0,0 +1,62 @@
+// "HH:MM" in the server's local time (set TZ, e.g. TZ=Asia/Taipei)
+const ROLLOVER_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Most recent rollover moment at or before `now`.
+ * @param {Date} now
+ * @param {string} time - "HH:MM"
+ * @returns {Date}
+ */
+function lastRolloverAt(now, time) {
+    const [, hours, minutes] = ROLLOVER_TIME_PATTERN.exec(time);
+    const at = new Date(now);
+    at.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+    if (at > now) at.setDate(at.getDate() - 1);
+    return at;
+}
+
+function nextRolloverAt(now, time) {
+    const at = lastRolloverAt(now, time);
+    at.setDate(at.getDate() + 1);
+    return at;
+}
+
+/**
+ * Local date (YYYY-MM-DD) a rollover's snapshot is filed under: the day most
+ * of the closing 24h fell on, so 00:00 and 05:00 both file under the day
+ * before, 23:00 under the same day.
+ * @param {Date} rolloverAt
+ */
+function snapshotDate(rolloverAt) {
+    const middle = new Date(rolloverAt.getTime() - HALF_DAY_MS);
+    return `${middle.getFullYear()}-${pad(middle.getMonth() + 1)}-${pad(middle.getDate())}`;
+}
+
+/**
+ * Runs `run(rolloverAt)` at every rollover time. It also runs once right away
+ * for the latest past rollover, so a restart (or a host that slept through
+ * the night) catches up; `run` must skip rollovers that already happened
+ * and must not reject.
+ * @param {string} time - "HH:MM"
+ * @param {(rolloverAt: Date) => Promise<void>} run
+ */
+function scheduleRollover(time, run) {
+    function scheduleNext() {
+        const at = nextRolloverAt(new Date(), time);
+        const timer = setTimeout(async () => {
+            await run(at);
+            scheduleNext();
+        }, at.getTime() - Date.now());
+        // Don't keep the process alive just for the next rollover
+        timer.unref();
+    }
+
+    run(lastRolloverAt(new Date(), time)).then(scheduleNext);
+}
+
+module.exports = { ROLLOVER_TIME_PATTERN, snapshotDate, scheduleRollover };
@@ -0,0 +1,110 @@
+const { CARD_STYLES } = require('./validation');
+const { apiError } = require('./errors');
+
+const FILTER_PARAMS = ['q', 'mood', 'style', 'from', 'to'];
+const MAX_PAGE_SIZE = 100;
+
+// "2,3" -> ['2', '3']; a repeated param (?mood=2&mood=3) works too
+function listParam(value) {
+    return [].concat(value).join(',').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseDate(value) {
+    if (typeof value !== 'string') return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Reads the card filters from a query string:
+ *   q     - text contained in the card (case-insensitive)
+ *   mood  - one or more moods, "2" or "1,2"
+ *   style - one or more card styles
+ *   from, to - createdAt range (ISO dates, both inclusive)
+ * @param {object} query - req.query
+ * @returns {{filter?: object|null, error?: object}} filter is null when no filter param is set; error is an API error body
+ */
+function parseCardFilter(query) {
+    if (!FILTER_PARAMS.some(param => query[param] !== undefined)) return { filter: null };
+    const filter = {};
+
+    if (query.q !== undefined) {
+        if (typeof query.q !== 'string') return { error: apiError('invalid_query', { param: 'q' }) };
+        filter.q = query.q.trim().toLowerCase();
+    }
+    if (query.mood !== undefined) {
+        filter.moods = listParam(query.mood).map(Number);
+        if (filter.moods.length === 0 || filter.moods.some(m => !Number.isInteger(m) || m < 1 || m > 5)) {
+            return { error: apiError('invalid_query', { param: 'mood' }) };
+        }
+    }
+    if (query.style !== undefined) {
+        filter.styles = listParam(query.style);
+        if (filter.styles.length === 0 || filter.styles.some(s => !CARD_STYLES.includes(s))) {
+            return { error: apiError('invalid_query', { param: 'style' }) };
+        }
+    }
+    for (const param of ['from', 'to']) {
+        if (query[param] === undefined) continue;
+        filter[param] = parseDate(query[param]);
+        if (!filter[param]) return { error: apiError('invalid_date_range') };
+    }
+    if (filter.from && filter.to && filter.from > filter.to) return { error: apiError('invalid_date_range') };
+
+    return { filter };
+}
+
+function matchesFilter(card, filter) {
+    if (filter.q && !(card.text || '').toLowerCase().includes(filter.q)) return false;
+    if (filter.moods && !filter.moods.includes(Number(card.mood))) return false;
+    if (filter.styles && !filter.styles.includes(card.style || 'polaroid')) return false;
+    if (filter.from || filter.to) {
+        const created = card.createdAt ? new Date(card.createdAt) : null;
+        if (!created || isNaN(created)) return false;
+        if (filter.from && created < filter.from) return false;
+        if (filter.to && created > filter.to) return false;
+    }
+    return true;
+}
+
+function filterCards(cards, filter) {
+    return filter ? cards.filter(card => matchesFilter(card, filter)) : cards;
+}
+
+// Cursors point just past a card in (createdAt, id) order, so deleting cards
+// between two page loads doesn't skip or repeat any
+function cursorFor(card) {
+    return Buffer.from(`${card.createdAt || ''}|${card.id}`).toString('base64url');
+}
+
+function sortKey(card) {
+    return `${card.createdAt || ''}|${card.id}`;
+}
+
+/**
+ * Reads limit / cursor and cuts one page out of `cards`, oldest first.
+ * @param {object[]} cards
+ * @param {object} query - req.query
+ * @returns {{page?: object[], nextCursor?: string|null, error?: object}} page is null when neither param is set
+ */
+function paginate(cards, query) {
+    if (query.limit === undefined && query.cursor === undefined) return { page: null };
+
+    const limit = query.limit === undefined ? MAX_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return { error: apiError('invalid_query', { param: 'limit' }) };
+
+    let after = '';
+    if (query.cursor !== undefined) {
+        if (typeof query.cursor !== 'string') return { error: apiError('invalid_query', { param: 'cursor' }) };
+        after = Buffer.from(query.cursor, 'base64url').toString('utf8');
+        if (!after.includes('|')) return { error: apiError('invalid_query', { param: 'cursor' }) };
+    }
+
+    // Plain string comparison, the same order the cursor filter below uses
+    const sorted = cards.slice().sort((a, b) => sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0);
+    const rest = after ? sorted.filter(card => sortKey(card) > after) : sorted;
+    const page = rest.slice(0, limit);
+    return { page, nextCursor: rest.length > limit ? cursorFor(page[page.length - 1]) : null };
+}
+
+module.exports = { parseCardFilter, filterCards, paginate };
@@ -0,0 +1,85 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MOOD_LEVELS = [1, 2, 3, 4, 5];
+// Keeps gap-filled series bounded (a year of days, ~10 years of weeks)
+const MAX_PERIODS = 520;
+
+function emptyDistribution() {
+    return { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// "YYYY-MM-DD" of a Date whose UTC fields already hold local time
+function dayKey(shifted) {
+    return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Period key for a timestamp: the local day, or the Monday starting its week.
+ * @param {number} time - Epoch ms
+ * @param {'day'|'week'} bucket
+ * @param {number} tzOffset - Minutes, as returned by Date#getTimezoneOffset()
+ */
+function periodKey(time, bucket, tzOffset) {
+    const shifted = new Date(time - tzOffset * 60 * 1000);
+    if (bucket === 'week') {
+        const daysSinceMonday = (shifted.getUTCDay() + 6) % 7;
+        shifted.setUTCDate(shifted.getUTCDate() - daysSinceMonday);
+    }
+    return dayKey(shifted);
+}
+
+/**
+ * Aggregates moods over a date range.
+ * @param {object[]} cards - Cards with mood (1-5) and createdAt
+ * @param {{from: Date, to: Date, bucket: 'day'|'week', tzOffset: number}} options
+ * @returns {{total: number, average: number|null, distribution: object, series: object[]}}
+ */
+function computeStats(cards, { from, to, bucket, tzOffset }) {
+    const distribution = emptyDistribution();
+    const periods = new Map();
+    let total = 0;
+    let sum = 0;
+
+    // Every period in range, so gaps show as zero posts rather than disappearing
+    const step = bucket === 'week' ? 7 * DAY_MS : DAY_MS;
+    const lastKey = periodKey(to.getTime(), bucket, tzOffset);
+    for (let t = from.getTime(); periods.size < MAX_PERIODS; t += step) {
+        const key = periodKey(t, bucket, tzOffset);
+        periods.set(key, { period: key, count: 0, sum: 0, distribution: emptyDistribution() });
+        if (key >= lastKey) break;
+    }
+
+    cards.forEach(card => {
+        const time = Date.parse(card.createdAt);
+        const mood = Number(card.mood);
+        if (isNaN(time) || time < from.getTime() || time > to.getTime()) return;
+        if (!MOOD_LEVELS.includes(mood)) return;
+
+        const entry = periods.get(periodKey(time, bucket, tzOffset));
+        if (!entry) return; // Beyond MAX_PERIODS
+        entry.count++;
+        entry.sum += mood;
+        entry.distribution[mood]++;
+
+        total++;
+        sum += mood;
+        distribution[mood]++;
+    });
+
+    return {
+        total,
+        average: total ? round(sum / total) : null,
+        distribution,
+        series: Array.from(periods.values()).map(({ period, count, sum, distribution }) => ({
+            period,
+            count,
+            average: count ? round(sum / count) : null,
+            distribution
+        }))
+    };
+}
+
+module.exports = { computeStats };
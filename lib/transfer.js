@@ -0,0 +1,99 @@
+const AdmZip = require('adm-zip');
+const { IMAGE_EXTENSIONS, IMAGE_PARTS, splitBase64, decodeImage } = require('./images');
+const { maxImageBytes } = require('./validation');
+
+// Import ZIPs are checked against these before anything is unpacked, since a
+// small ZIP can hold entries that are huge once decompressed
+const MAX_ZIP_ENTRIES = 1000;
+const MAX_MANIFEST_BYTES = 10 * 1024 * 1024;
+
+// Adds one decoded file per card image under `dir`; returns the cards with
+// header/parts replaced by an `image` path inside the ZIP
+function addCardImages(zip, cards, dir) {
+    return cards.map(card => {
+        const { header, parts, ...rest } = card;
+        const decoded = decodeImage(header, parts);
+        if (!decoded) return rest;
+
+        const image = `${dir}/${card.id}.${IMAGE_EXTENSIONS[decoded.type] || decoded.type}`;
+        zip.addFile(image, decoded.data);
+        return { ...rest, image };
+    });
+}
+
+function addJson(zip, name, value) {
+    zip.addFile(name, Buffer.from(JSON.stringify(value, null, 2)));
+}
+
+/**
+ * Builds a ZIP with cards.json, archive.json and snapshots.json, plus one
+ * decoded file per card image (cards must have their images inline, see
+ * images.inline). Archived cards' images go under images/archive/.
+ * @param {{cards: object[], archive: object[], snapshots: object[]}} backup
+ * @returns {Buffer}
+ */
+function backupToZip({ cards, archive, snapshots }) {
+    const zip = new AdmZip();
+    addJson(zip, 'cards.json', addCardImages(zip, cards, 'images'));
+    addJson(zip, 'archive.json', addCardImages(zip, archive, 'images/archive'));
+    addJson(zip, 'snapshots.json', snapshots);
+    return zip.toBuffer();
+}
+
+/**
+ * Unpacks one ZIP entry, refusing it if its decompressed size is over maxBytes
+ * (adm-zip stops inflating at the size in the header, so that size can be trusted).
+ */
+function readEntry(entry, maxBytes) {
+    if (entry.header.size > maxBytes) throw new Error(`${entry.entryName} is too large`);
+    return entry.getData();
+}
+
+/**
+ * Reads the wall cards of a ZIP made by backupToZip back into cards with header/parts.
+ * @param {Buffer} buffer
+ * @param {number} maxImageSizeKb - Wall's image limit; bigger images are not unpacked
+ * @returns {object[]}
+ */
+function zipToCards(buffer, maxImageSizeKb) {
+    const zip = new AdmZip(buffer);
+    if (zip.getEntries().length > MAX_ZIP_ENTRIES) throw new Error(`ZIP has more than ${MAX_ZIP_ENTRIES} files`);
+    const manifest = zip.getEntry('cards.json');
+    if (!manifest) throw new Error('cards.json missing from ZIP');
+
+    const cards = JSON.parse(readEntry(manifest, MAX_MANIFEST_BYTES).toString('utf8'));
+    if (!Array.isArray(cards)) throw new Error('cards.json must be an array');
+
+    return cards.map(entry => {
+        if (!entry || typeof entry.image !== 'string') return entry;
+        const { image, ...card } = entry;
+        const file = zip.getEntry(image);
+        if (!file) throw new Error(`Image ${image} missing from ZIP`);
+
+        const ext = image.split('.').pop().toLowerCase();
+        const type = Object.keys(IMAGE_EXTENSIONS).find(t => IMAGE_EXTENSIONS[t] === ext);
+        if (!type) throw new Error(`Unsupported image ${image}`);
+
+        return {
+            ...card,
+            header: `data:image/${type};base64,`,
+            parts: splitBase64(readEntry(file, maxImageBytes(maxImageSizeKb)).toString('base64'), IMAGE_PARTS)
+        };
+    });
+}
+
+/**
+ * Accepts what GET /api/export produces (JSON dump or ZIP) as well as a
+ * plain array of cards such as the repo's cards.json.
+ * @param {Buffer|object|object[]} body - Raw ZIP buffer or parsed JSON
+ * @param {{maxImageSizeKb: number}} wall - Wall the cards go to
+ * @returns {object[]}
+ */
+function parseImport(body, wall) {
+    if (Buffer.isBuffer(body)) return zipToCards(body, wall.maxImageSizeKb);
+    if (Array.isArray(body)) return body;
+    if (body && Array.isArray(body.cards)) return body.cards;
+    throw new Error('Expected a card array, an export object or a ZIP file');
+}
+
+module.exports = { backupToZip, parseImport };
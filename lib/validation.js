@@ -0,0 +1,261 @@
+const { apiError } = require('./errors');
+
+// Card field rules shared by POST (create) and PATCH (update)
+const MAX_TEXT_LENGTH = 500;
+const MAX_IMAGE_PARTS = 3;
+// Leave headroom over MAX_IMAGE_SIZE_KB for encoder overshoot, as documented in the README
+const IMAGE_SIZE_TOLERANCE = 1.1;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Card templates with a layout in style.css (keep in sync with the picker in moodwall.html)
+const CARD_STYLES = ['polaroid', 'sticky', 'postcard', 'ticket', 'index'];
+// Index into PRESET_SVGS in client.js (the artwork of a card without an image);
+// the client wraps it around, so the server only bounds it
+const MAX_PRESET = 99;
+const IMAGE_HEADER_PATTERN = /^data:image\/(jpeg|png|webp|gif);base64,$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+// Control characters except tab and newline
+const CONTROL_CHARS = /[\u0000-\u0008\u000B-\u001F\u007F]/g;
+
+// Reaction palette (keep in sync with REACTION_EMOJIS in client.js)
+const REACTION_EMOJIS = ['❤️', '👍', '🤗', '😂', '😮', '😢'];
+const MAX_REPLY_LENGTH = 200;
+const MAX_REPLIES = 50;
+const OWNER_PATTERN = /^[a-f0-9]{24}$/;
+
+// Fields a client may change after creation (id and createdAt are fixed)
+const UPDATABLE_FIELDS = ['text', 'mood', 'style', 'header', 'parts', 'x', 'y', 'r'];
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Accepts numbers and numeric strings only (Number(true) would otherwise pass as 1)
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+function decodedSize(b64) {
+    const padding = b64.endsWith('==') ? 2 : b64.endsWith('=') ? 1 : 0;
+    return Math.floor(b64.length * 3 / 4) - padding;
+}
+
+// Each check returns an error code (see lib/errors.js), or null when the value is acceptable
+const checks = {
+    text(value) {
+        if (typeof value !== 'string') return 'invalid_text';
+        if (value.length > MAX_TEXT_LENGTH) return 'text_too_long';
+        return null;
+    },
+    mood(value) {
+        const mood = toNumber(value);
+        if (!Number.isInteger(mood) || mood < 1 || mood > 5) return 'invalid_mood';
+        return null;
+    },
+    style(value) {
+        if (!CARD_STYLES.includes(value)) return 'invalid_style';
+        return null;
+    },
+    preset(value) {
+        const preset = toNumber(value);
+        if (!Number.isInteger(preset) || preset < 0 || preset > MAX_PRESET) return 'invalid_preset';
+        return null;
+    },
+    x: checkNumber, y: checkNumber, r: checkNumber
+};
+
+// Largest accepted image (decoded bytes) for a wall's MAX_IMAGE_SIZE_KB
+function maxImageBytes(maxImageSizeKb) {
+    return maxImageSizeKb * 1024 * IMAGE_SIZE_TOLERANCE;
+}
+
+function checkNumber(value) {
+    if (!Number.isFinite(toNumber(value))) return 'invalid_position';
+    return null;
+}
+
+/**
+ * Validates the header + parts pair of a card image.
+ * @param {string} header - e.g. "data:image/jpeg;base64,"
+ * @param {string[]} parts - Base64 body split into up to three columns
+ * @param {number} maxImageSizeKb - Wall's image limit
+ */
+function checkImage(header, parts, maxImageSizeKb) {
+    if (header === undefined) header = '';
+    if (parts === undefined) parts = [];
+    if (typeof header !== 'string' || !Array.isArray(parts)) return 'invalid_image';
+    if (!header && parts.length === 0) return null; // No image
+    if (!IMAGE_HEADER_PATTERN.test(header)) return 'unsupported_image';
+    if (parts.length === 0 || parts.length > MAX_IMAGE_PARTS) return 'invalid_image';
+    if (parts.some(p => typeof p !== 'string')) return 'invalid_image';
+
+    const body = parts.join('');
+    if (!BASE64_PATTERN.test(body) || body.length % 4 !== 0) return 'invalid_image';
+    if (decodedSize(body) > maxImageBytes(maxImageSizeKb)) return 'image_too_large';
+    return null;
+}
+
+function cleanText(text) {
+    return text.replace(/\r\n?/g, '\n').replace(CONTROL_CHARS, '');
+}
+
+/**
+ * Validates a POST body and builds the card to store.
+ * Unknown fields are dropped; the id is filled in when missing. createdAt is
+ * the server's clock, unless keepCreatedAt is set (imports keep the backup's date).
+ * @param {object} body
+ * @param {{maxImageSizeKb: number}} wall
+ * @param {{keepCreatedAt?: boolean}} [options]
+ * @returns {{card?: object, error?: object}} error is an API error body (lib/errors.js)
+ */
+function validateNewCard(body, wall, { keepCreatedAt = false } = {}) {
+    if (!isPlainObject(body)) return { error: apiError('invalid_data') };
+
+    const id = body.id === undefined ? `card_${Date.now()}` : body.id;
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return { error: apiError('invalid_id') };
+
+    const fields = {
+        text: body.text === undefined ? '' : body.text,
+        mood: body.mood === undefined ? 3 : body.mood,
+        style: body.style === undefined ? 'polaroid' : body.style,
+        x: body.x === undefined ? 0 : body.x,
+        y: body.y === undefined ? 0 : body.y,
+        r: body.r === undefined ? 0 : body.r
+    };
+    for (const [field, value] of Object.entries(fields)) {
+        const error = checks[field](value);
+        if (error) return { error: apiError(error) };
+    }
+
+    const imageError = checkImage(body.header, body.parts, wall.maxImageSizeKb);
+    if (imageError) return { error: apiError(imageError) };
+
+    if (body.preset !== undefined) {
+        const presetError = checks.preset(body.preset);
+        if (presetError) return { error: apiError(presetError) };
+    }
+
+    let createdAt = new Date().toISOString();
+    if (keepCreatedAt && body.createdAt !== undefined) {
+        const date = new Date(body.createdAt);
+        if (typeof body.createdAt !== 'string' || isNaN(date)) return { error: apiError('invalid_date', { param: 'createdAt' }) };
+        createdAt = date.toISOString();
+    }
+
+    const card = {
+        id,
+        text: cleanText(fields.text),
+        mood: toNumber(fields.mood),
+        style: fields.style,
+        header: body.header || '',
+        parts: body.parts || [],
+        x: toNumber(fields.x),
+        y: toNumber(fields.y),
+        r: toNumber(fields.r),
+        createdAt
+    };
+    if (body.preset !== undefined) card.preset = toNumber(body.preset);
+    return { card };
+}
+
+/**
+ * Validates a PATCH body. Only UPDATABLE_FIELDS are accepted; anything else
+ * (including id) is rejected rather than silently merged into the card.
+ * @param {object} body
+ * @param {{maxImageSizeKb: number}} wall
+ * @returns {{updates?: object, error?: object}} error is an API error body (lib/errors.js)
+ */
+function validateCardUpdate(body, wall) {
+    if (!isPlainObject(body)) return { error: apiError('invalid_data') };
+
+    const unknown = Object.keys(body).filter(key => !UPDATABLE_FIELDS.includes(key));
+    if (unknown.length > 0) return { error: apiError('unknown_fields', { fields: unknown.join(', ') }) };
+    if (Object.keys(body).length === 0) return { error: apiError('no_changes') };
+
+    const updates = {};
+    for (const field of ['text', 'mood', 'style', 'x', 'y', 'r']) {
+        if (body[field] === undefined) continue;
+        const error = checks[field](body[field]);
+        if (error) return { error: apiError(error) };
+        if (field === 'text') updates.text = cleanText(body.text);
+        else if (field === 'style') updates.style = body.style;
+        else updates[field] = toNumber(body[field]);
+    }
+
+    // The image is replaced as a whole: header and parts travel together
+    if (body.header !== undefined || body.parts !== undefined) {
+        if (body.header === undefined || body.parts === undefined) return { error: apiError('image_incomplete') };
+        const imageError = checkImage(body.header, body.parts, wall.maxImageSizeKb);
+        if (imageError) return { error: apiError(imageError) };
+        updates.header = body.header;
+        updates.parts = body.parts;
+    }
+
+    return { updates };
+}
+
+/**
+ * Validates a POST /reactions body ({ emoji }).
+ * @returns {{emoji?: string, error?: object}}
+ */
+function validateReaction(body) {
+    if (!isPlainObject(body)) return { error: apiError('invalid_data') };
+    if (!REACTION_EMOJIS.includes(body.emoji)) return { error: apiError('invalid_reaction') };
+    return { emoji: body.emoji };
+}
+
+/**
+ * Validates a POST /replies body ({ text }).
+ * @returns {{text?: string, error?: object}}
+ */
+function validateReply(body) {
+    if (!isPlainObject(body)) return { error: apiError('invalid_data') };
+    if (typeof body.text !== 'string') return { error: apiError('invalid_text') };
+    const text = cleanText(body.text).trim();
+    if (!text) return { error: apiError('reply_empty') };
+    if (text.length > MAX_REPLY_LENGTH) return { error: apiError('reply_too_long') };
+    return { text };
+}
+
+/**
+ * Keeps the well-formed reactions and replies of an imported card, so a
+ * backup/restore doesn't lose the conversation.
+ * @returns {{reactions: object, replies: object[]}}
+ */
+function cleanSocial(raw) {
+    const reactions = {};
+    if (isPlainObject(raw.reactions)) {
+        for (const emoji of REACTION_EMOJIS) {
+            const owners = raw.reactions[emoji];
+            if (!Array.isArray(owners)) continue;
+            const valid = [...new Set(owners.filter(o => typeof o === 'string' && OWNER_PATTERN.test(o)))];
+            if (valid.length > 0) reactions[emoji] = valid;
+        }
+    }
+
+    const replies = (Array.isArray(raw.replies) ? raw.replies : [])
+        .filter(r => isPlainObject(r) && typeof r.id === 'string' && ID_PATTERN.test(r.id)
+            && !validateReply(r).error && typeof r.createdAt === 'string' && !isNaN(new Date(r.createdAt)))
+        .slice(-MAX_REPLIES)
+        .map(r => ({
+            id: r.id,
+            text: validateReply(r).text,
+            owner: typeof r.owner === 'string' && OWNER_PATTERN.test(r.owner) ? r.owner : '',
+            createdAt: new Date(r.createdAt).toISOString()
+        }));
+
+    return { reactions, replies };
+}
+
+module.exports = {
+    CARD_STYLES,
+    MAX_REPLIES,
+    maxImageBytes,
+    validateNewCard,
+    validateCardUpdate,
+    validateReaction,
+    validateReply,
+    cleanSocial
+};
@@ -0,0 +1,63 @@
+const DEFAULT_WALL_ID = 'default';
+const WALL_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+const { ROLLOVER_TIME_PATTERN } = require('./rollover');
+
+// "HH:MM", or null for no daily rollover
+function checkRollover(value, where) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'string' || !ROLLOVER_TIME_PATTERN.test(value)) {
+        throw new Error(`Invalid rollover time "${value}" in ${where} (expected HH:MM)`);
+    }
+    return value;
+}
+
+/**
+ * Builds the wall registry from env.
+ * The default wall always exists and uses the global MAX_CARDS / MAX_IMAGE_SIZE_KB / ARCHIVE_MODE / ROLLOVER_TIME.
+ * Extra walls come from WALLS, a JSON object keyed by wall id, e.g.
+ *   WALLS={"squad-a":{"maxCards":12,"archive":true},"squad-b":{"sheet":"B Team","maxImageSizeKb":150}}
+ * `sheet` is the Google Sheets tab name (defaults to the wall id).
+ * `archive` makes a full wall archive a card on print instead of refusing it.
+ * `rollover` ("HH:MM" or false) overrides the daily rollover time.
+ * @param {{maxCards: number, maxImageSizeKb: number, archive: boolean, rollover: string|null}} defaults
+ * @param {string} [raw] - Value of the WALLS env var
+ * @returns {Map<string, {id: string, sheet: string|null, maxCards: number, maxImageSizeKb: number, archive: boolean, rollover: string|null}>}
+ */
+function loadWalls(defaults, raw = process.env.WALLS) {
+    const rollover = checkRollover(defaults.rollover, 'ROLLOVER_TIME');
+    const walls = new Map();
+    walls.set(DEFAULT_WALL_ID, {
+        id: DEFAULT_WALL_ID,
+        sheet: null, // First sheet, as before walls existed
+        maxCards: defaults.maxCards,
+        maxImageSizeKb: defaults.maxImageSizeKb,
+        archive: defaults.archive,
+        rollover
+    });
+
+    if (!raw) return walls;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (err) {
+        throw new Error(`WALLS must be a JSON object: ${err.message}`);
+    }
+
+    Object.entries(parsed || {}).forEach(([id, options = {}]) => {
+        if (!WALL_ID_PATTERN.test(id)) throw new Error(`Invalid wall id "${id}" in WALLS`);
+        const base = walls.get(id) || {};
+        walls.set(id, {
+            id,
+            sheet: options.sheet || base.sheet || (id === DEFAULT_WALL_ID ? null : id),
+            maxCards: parseInt(options.maxCards) || defaults.maxCards,
+            maxImageSizeKb: parseInt(options.maxImageSizeKb) || defaults.maxImageSizeKb,
+            archive: typeof options.archive === 'boolean' ? options.archive : defaults.archive,
+            rollover: options.rollover === undefined ? rollover : checkRollover(options.rollover || null, `WALLS.${id}`)
+        });
+    });
+
+    return walls;
+}
+
+module.exports = { DEFAULT_WALL_ID, loadWalls };
@@ -0,0 +1,51 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys are built by lib/images.js as "<wallId>/<cardId>-<hash>.<ext>"; anything
+// else (e.g. a hand-edited Sheets cell) is refused so it can't escape the directory
+const KEY_PATTERN = /^[A-Za-z0-9_-]+\/[A-Za-z0-9_-]+\.[a-z]+$/;
+
+function resolveKey(dir, key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) throw new Error(`Invalid blob key "${key}"`);
+    return path.join(dir, key);
+}
+
+/**
+ * Local disk blob store for card images: one file per key under `dir`.
+ *   put(key, buffer) -> Promise<void>
+ *   get(key)         -> Promise<Buffer|null> (null = missing)
+ *   remove(key)      -> Promise<boolean>     (false = missing)
+ */
+function createBlobStore(dir) {
+    return {
+        async put(key, buffer) {
+            const file = resolveKey(dir, key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            // Write to a temp file and rename, so a crash never leaves half an image
+            const tmp = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, buffer);
+            await fs.rename(tmp, file);
+        },
+
+        async get(key) {
+            try {
+                return await fs.readFile(resolveKey(dir, key));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        async remove(key) {
+            try {
+                await fs.unlink(resolveKey(dir, key));
+                return true;
+            } catch (err) {
+                if (err.code === 'ENOENT') return false;
+                throw err;
+            }
+        }
+    };
+}
+
+module.exports = { createBlobStore };
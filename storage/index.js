@@ -0,0 +1,47 @@
+const path = require('path');
+const { createSheetsStore } = require('./sheets');
+const { createLocalStore } = require('./local');
+const { createBlobStore } = require('./blobs');
+
+/**
+ * Storage adapters share one interface (`wall` is an entry from lib/walls.js):
+ *   isAvailable()             -> boolean (false = writes return 503)
+ *   list(wall)                -> Promise<Card[]>
+ *   get(wall, id)             -> Promise<Card|null>
+ *   create(wall, card)        -> Promise<Card>
+ *   update(wall, id, updates) -> Promise<Card|null> (null = not found); updates may be a
+ *                                function card => changes, run inside the adapter's write
+ *                                queue so read-modify-write changes (reactions) don't race
+ *   remove(wall, id)          -> Promise<boolean>  (false = not found)
+ *   archive(wall, id)         -> Promise<Card|null> (moves the card to the wall's archive)
+ *   listArchive(wall)         -> Promise<Card[]>    (oldest first, with archivedAt)
+ *   getArchived(wall, id)     -> Promise<Card|null> (one archived card)
+ *   saveSnapshot(wall, snapshot) -> Promise<Snapshot> (replaces the same date)
+ *   getSnapshot(wall, date)   -> Promise<Snapshot|null>
+ *   listSnapshots(wall)       -> Promise<{date, takenAt, count}[]>
+ *   exportSnapshots(wall)     -> Promise<Snapshot[]> (whole snapshots, one per date, for backups)
+ * A Snapshot is { date: 'YYYY-MM-DD', takenAt, cards: [{ id, x, y, r }] }: the layout of a
+ * wall at its daily rollover; the cards themselves are in the archive.
+ *
+ * STORAGE_DRIVER selects the adapter: 'sheets' (default) or 'local'.
+ */
+function createStore(driver = process.env.STORAGE_DRIVER || 'sheets') {
+    switch (driver) {
+        case 'local':
+            return createLocalStore(path.resolve(process.env.LOCAL_DATA_FILE || path.join(__dirname, '..', 'data', 'cards.json')));
+        case 'sheets':
+            return createSheetsStore();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "sheets" or "local")`);
+    }
+}
+
+/**
+ * Card images live outside the card rows, as files under BLOB_DIR
+ * (default data/images), whichever card driver is in use.
+ */
+function createBlobs(dir = process.env.BLOB_DIR || path.join(__dirname, '..', 'data', 'images')) {
+    return createBlobStore(path.resolve(dir));
+}
+
+module.exports = { createStore, createBlobs };
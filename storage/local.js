@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_WALL_ID } = require('../lib/walls');
+const { createLock } = require('../lib/locks');
+
+/**
+ * Local JSON file storage adapter.
+ * Cards are kept as an array in a JSON file (same shape as cards.json),
+ * so the wall works offline and without Google credentials.
+ * The default wall uses `filePath`; other walls get a sibling `cards-<wallId>.json`.
+ * Archived cards go to a matching `*.archive.json` file, daily snapshots to `*.snapshots.json`.
+ * @param {string} filePath - Path of the default wall's JSON file (created on first write)
+ */
+function createLocalStore(filePath) {
+    const cache = new Map(); // file path -> cards array
+    // Writes to a file run one at a time, so two requests never interleave a
+    // read-modify-write. A wall's archive file is only written under its cards file's key.
+    const writeLock = createLock();
+
+    console.log(`Using local storage file: ${filePath}`);
+
+    // kind: '' for the cards, 'archive' or 'snapshots'
+    function fileFor(wall, kind = '') {
+        const file = wall.id === DEFAULT_WALL_ID
+            ? filePath
+            : path.join(path.dirname(filePath), `cards-${wall.id}.json`);
+        return kind ? file.replace(/(\.json)?$/, `.${kind}.json`) : file;
+    }
+
+    // A missing file is an empty list. A file that can't be read or parsed is an
+    // error (not cached), so no write replaces it until someone has a look at it.
+    async function load(file) {
+        if (cache.has(file)) return cache.get(file);
+        let raw;
+        try {
+            raw = await fs.promises.readFile(file, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            raw = '[]';
+        }
+        let cards;
+        try {
+            cards = JSON.parse(raw);
+        } catch (err) {
+            throw new Error(`Local storage file ${file} is not valid JSON: ${err.message}`);
+        }
+        if (!Array.isArray(cards)) throw new Error(`Local storage file ${file} does not hold an array`);
+        cache.set(file, cards);
+        return cards;
+    }
+
+    async function persist(file, cards) {
+        // Write to a temp file first so a crash never leaves half a JSON file behind
+        const tmpPath = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(cards, null, 2));
+        await fs.promises.rename(tmpPath, file);
+    }
+
+    function mutate(wall, fn) {
+        const file = fileFor(wall);
+        return writeLock(file, async () => {
+            const cards = await load(file);
+            const result = fn(cards);
+            await persist(file, cards);
+            return result;
+        });
+    }
+
+    return {
+        name: 'local',
+
+        isAvailable() {
+            return true;
+        },
+
+        async list(wall) {
+            return (await load(fileFor(wall))).slice();
+        },
+
+        async get(wall, id) {
+            return (await load(fileFor(wall))).find(c => c.id === id) || null;
+        },
+
+        create(wall, card) {
+            return mutate(wall, list => {
+                list.push(card);
+                return card;
+            });
+        },
+
+        update(wall, id, updates) {
+            return mutate(wall, list => {
+                const index = list.findIndex(c => c.id === id);
+                if (index === -1) return null;
+                const changes = typeof updates === 'function' ? updates(list[index]) : updates;
+                list[index] = { ...list[index], ...changes };
+                return list[index];
+            });
+        },
+
+        remove(wall, id) {
+            return mutate(wall, list => {
+                const index = list.findIndex(c => c.id === id);
+                if (index === -1) return false;
+                list.splice(index, 1);
+                return true;
+            });
+        },
+
+        archive(wall, id) {
+            return writeLock(fileFor(wall), async () => {
+                const cards = await load(fileFor(wall));
+                const index = cards.findIndex(c => c.id === id);
+                if (index === -1) return null;
+
+                const archiveFile = fileFor(wall, 'archive');
+                const archived = await load(archiveFile);
+                const archivedCard = { ...cards[index], archivedAt: new Date().toISOString() };
+                // Archive first, so a crash in between leaves a duplicate rather than a lost card
+                archived.push(archivedCard);
+                await persist(archiveFile, archived);
+                cards.splice(index, 1);
+                await persist(fileFor(wall), cards);
+                return archivedCard;
+            });
+        },
+
+        async listArchive(wall) {
+            return (await load(fileFor(wall, 'archive'))).slice();
+        },
+
+        async getArchived(wall, id) {
+            return (await load(fileFor(wall, 'archive'))).find(c => c.id === id) || null;
+        },
+
+        saveSnapshot(wall, snapshot) {
+            const file = fileFor(wall, 'snapshots');
+            return writeLock(file, async () => {
+                const snapshots = await load(file);
+                const index = snapshots.findIndex(s => s.date === snapshot.date);
+                if (index === -1) snapshots.push(snapshot);
+                else snapshots[index] = snapshot;
+                await persist(file, snapshots);
+                return snapshot;
+            });
+        },
+
+        async getSnapshot(wall, date) {
+            return (await load(fileFor(wall, 'snapshots'))).find(s => s.date === date) || null;
+        },
+
+        async listSnapshots(wall) {
+            return (await load(fileFor(wall, 'snapshots'))).map(s => ({ date: s.date, takenAt: s.takenAt, count: s.cards.length }));
+        },
+
+        async exportSnapshots(wall) {
+            return (await load(fileFor(wall, 'snapshots'))).slice();
+        }
+    };
+}
+
+module.exports = { createLocalStore };
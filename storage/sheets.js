@@ -0,0 +1,454 @@
+const { google } = require('googleapis');
+const { createLock } = require('../lib/locks');
+
+// --- Google Sheets Configuration ---
+const SHEET_ID = process.env.GOOGLE_SHEET_ID;
+const GOOGLE_CLIENT_EMAIL = process.env.GOOGLE_SA_CLIENT_EMAIL;
+const GOOGLE_PRIVATE_KEY = process.env.GOOGLE_SA_PRIVATE_KEY ? process.env.GOOGLE_SA_PRIVATE_KEY.replace(/\\n/g, '\n') : null;
+
+const HEADER_ROW = ['id', 'text', 'mood', 'style', 'header', 'part1', 'part2', 'part3', 'x', 'y', 'r', 'created_at', 'owner', 'archived_at', 'image', 'reactions', 'replies', 'deleted_at', 'updated_at', 'preset'];
+// Last column of a card row (A = id)
+const LAST_COLUMN = 'T';
+// Archived cards of a wall live in a sibling tab named "<tab> archive",
+// daily snapshots (date, time, layout JSON) in "<tab> snapshots"
+const ARCHIVE_SUFFIX = ' archive';
+const SNAPSHOT_SUFFIX = ' snapshots';
+const SNAPSHOT_HEADER_ROW = ['date', 'taken_at', 'cards'];
+
+// --- Data Helpers ---
+function rowToCard(row) {
+    // Columns: [ID, Text, Mood, Style, Header, Part1, Part2, Part3, X, Y, R, CreatedAt, Owner, ArchivedAt, Image, Reactions, Replies, DeletedAt, UpdatedAt, Preset]
+    // Header/Part1-3 only hold images of cards saved before images moved to the blob store
+    if (!row || row.length === 0) return null;
+    if (row[0] === 'id' || row[0] === 'ID') return null; // Skip header
+
+    const card = {
+        id: row[0],
+        text: row[1] || '',
+        mood: parseInt(row[2]) || 1,
+        style: row[3] || 'polaroid',
+        header: row[4] || '',
+        parts: [row[5], row[6], row[7]].filter(p => p && p.length > 0),
+        x: parseFloat(row[8]) || 0,
+        y: parseFloat(row[9]) || 0,
+        r: parseFloat(row[10]) || 0,
+        createdAt: row[11] || null,
+        owner: row[12] || ''
+    };
+    if (row[13]) card.archivedAt = row[13];
+    if (row[14]) card.image = row[14];
+    card.reactions = parseJsonCell(row[15], {});
+    card.replies = parseJsonCell(row[16], []);
+    if (row[17]) card.deletedAt = row[17];
+    if (row[18]) card.updatedAt = row[18];
+    const preset = parseInt(row[19]);
+    if (Number.isInteger(preset)) card.preset = preset;
+    return card;
+}
+
+// Reactions and replies are stored as JSON text; a broken cell reads as empty
+function parseJsonCell(value, fallback) {
+    if (!value) return fallback;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) === Array.isArray(fallback) && typeof parsed === 'object' ? parsed : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function jsonCell(value) {
+    if (!value || Object.keys(value).length === 0) return '';
+    return JSON.stringify(value);
+}
+
+// Cards are written with USER_ENTERED, so text starting with = + - @ would run as a formula.
+// A leading apostrophe makes Sheets store it as plain text (and is not returned on read).
+function escapeCell(value) {
+    if (typeof value === 'string' && /^[=+\-@'\t\r]/.test(value)) return `'${value}`;
+    return value;
+}
+
+function cardToRow(card) {
+    const p = card.parts || [];
+    return [
+        card.id,
+        escapeCell(card.text),
+        card.mood,
+        card.style,
+        card.header,
+        p[0] || '',
+        p[1] || '',
+        p[2] || '',
+        card.x,
+        card.y,
+        card.r,
+        card.createdAt || '',
+        card.owner || '',
+        card.archivedAt || '',
+        card.image || '',
+        jsonCell(card.reactions),
+        jsonCell(card.replies),
+        card.deletedAt || '',
+        card.updatedAt || '',
+        card.preset === undefined ? '' : card.preset
+    ];
+}
+
+// A1 notation with the tab title quoted, so names with spaces/quotes work
+function sheetRange(title, cells) {
+    return `'${title.replace(/'/g, "''")}'!${cells}`;
+}
+
+/**
+ * Google Sheets storage adapter.
+ * Each card is one row (columns A:T) in the wall's tab of GOOGLE_SHEET_ID;
+ * the default wall uses the first tab, other tabs are created on first use.
+ * Archived cards move to the wall's "<tab> archive" tab, daily snapshots go to "<tab> snapshots".
+ */
+function createSheetsStore() {
+    let sheets;
+
+    // Diagnosis Log for Deployment
+    console.log('--- Google Sheets Config Check ---');
+    console.log('SHEET_ID:', SHEET_ID ? 'Set' : 'MISSING');
+    console.log('CLIENT_EMAIL:', GOOGLE_CLIENT_EMAIL ? 'Set' : 'MISSING');
+    console.log('PRIVATE_KEY:', GOOGLE_PRIVATE_KEY ? 'Set' : 'MISSING');
+
+    if (SHEET_ID && GOOGLE_CLIENT_EMAIL && GOOGLE_PRIVATE_KEY) {
+        try {
+            const auth = new google.auth.GoogleAuth({
+                credentials: {
+                    client_email: GOOGLE_CLIENT_EMAIL,
+                    private_key: GOOGLE_PRIVATE_KEY,
+                },
+                scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+            });
+            sheets = google.sheets({ version: 'v4', auth });
+            console.log('Google Sheets Client Initialized.');
+        } catch (authError) {
+            console.error('Google Auth Init Failed:', authError.message);
+        }
+    } else {
+        console.error('CRITICAL ERROR: Google Sheets credentials incomplete. App will return 503 for write operations.');
+    }
+
+    // Cache sheet info per wall to avoid fetching metadata on every request
+    const sheetInfoCache = new Map();
+    // Tabs being created, so two first writes at once add the tab only once
+    const creatingSheets = new Map();
+
+    function sheetKey(wall, suffix) {
+        return `${wall.sheet || ''}|${suffix}`;
+    }
+
+    /**
+     * Looks up a wall's tab. Reads treat a missing tab as an empty wall (null),
+     * so only writes (create: true) add tabs to the spreadsheet.
+     * @param {string} [suffix] - '' for the wall's own tab, ARCHIVE_SUFFIX or SNAPSHOT_SUFFIX
+     * @returns {Promise<{title: string, sheetId: number}|null>}
+     */
+    async function getSheetInfo(wall, suffix = '', { create = false } = {}) {
+        if (!sheets) throw new Error('Google Sheets not configured');
+        const key = sheetKey(wall, suffix);
+        if (sheetInfoCache.has(key)) return sheetInfoCache.get(key);
+        if (creatingSheets.has(key)) return creatingSheets.get(key);
+
+        let sheet;
+        try {
+            const meta = await sheets.spreadsheets.get({ spreadsheetId: SHEET_ID });
+            const findTab = title => meta.data.sheets.find(s => s.properties.title === title);
+            // Default wall uses the first sheet, other walls their own tab
+            sheet = wall.sheet ? findTab(wall.sheet) : meta.data.sheets[0];
+            if (sheet && suffix) sheet = findTab(sheet.properties.title + suffix);
+        } catch (err) {
+            console.error('Failed to get spreadsheet metadata:', err);
+            throw err;
+        }
+        if (sheet) return cacheSheetInfo(wall, suffix, sheet);
+        if (!create) return null;
+
+        // Another request may have found or started creating it meanwhile
+        if (sheetInfoCache.has(key)) return sheetInfoCache.get(key);
+        if (!creatingSheets.has(key)) {
+            creatingSheets.set(key, createSheet(wall, suffix).finally(() => creatingSheets.delete(key)));
+        }
+        return creatingSheets.get(key);
+    }
+
+    function cacheSheetInfo(wall, suffix, sheet) {
+        const info = { title: sheet.properties.title, sheetId: sheet.properties.sheetId };
+        sheetInfoCache.set(sheetKey(wall, suffix), info);
+        console.log(`Using Sheet: "${info.title}" (ID: ${info.sheetId}) for wall "${wall.id}"`);
+        return info;
+    }
+
+    async function createSheet(wall, suffix) {
+        if (!suffix) return cacheSheetInfo(wall, suffix, await addSheet(wall.sheet));
+        const { title } = await getSheetInfo(wall, '', { create: true });
+        const header = suffix === SNAPSHOT_SUFFIX ? SNAPSHOT_HEADER_ROW : HEADER_ROW;
+        return cacheSheetInfo(wall, suffix, await addSheet(title + suffix, header));
+    }
+
+    // Creates the tab for a new wall (or its archive / snapshots), with the header row in place
+    async function addSheet(title, header = HEADER_ROW) {
+        const response = await sheets.spreadsheets.batchUpdate({
+            spreadsheetId: SHEET_ID,
+            resource: { requests: [{ addSheet: { properties: { title } } }] }
+        });
+        const sheet = response.data.replies[0].addSheet;
+        await sheets.spreadsheets.values.update({
+            spreadsheetId: SHEET_ID,
+            range: sheetRange(title, `A1:${String.fromCharCode(64 + header.length)}1`),
+            valueInputOption: 'RAW',
+            resource: { values: [header] },
+        });
+        return sheet;
+    }
+
+    // Row lookups: id -> 0-indexed row per tab, filled from column A only (or
+    // from full reads we already did), so a drag doesn't re-download every image
+    const rowIndexCache = new Map();
+    // Writes run one at a time per tab: a row index found for one write must not
+    // be shifted by a concurrent delete before that write lands
+    const writeLock = createLock();
+
+    function indexRows(title, rows) {
+        const index = new Map();
+        rows.forEach((row, i) => {
+            if (row && row[0]) index.set(row[0], i);
+        });
+        rowIndexCache.set(title, index);
+        return index;
+    }
+
+    async function loadRowIndex(title) {
+        if (rowIndexCache.has(title)) return rowIndexCache.get(title);
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SHEET_ID,
+            range: sheetRange(title, 'A:A'),
+        });
+        return indexRows(title, response.data.values || []);
+    }
+
+    async function readRow(title, rowIndex, lastColumn) {
+        const n = rowIndex + 1; // 1-indexed
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SHEET_ID,
+            range: sheetRange(title, `A${n}:${lastColumn}${n}`),
+        });
+        return (response.data.values || [])[0] || [];
+    }
+
+    /**
+     * Finds a card's row through the cached index. The row itself is read back
+     * (column A only, or up to lastColumn when the caller needs the card) and its
+     * id checked, since the sheet can be sorted or edited by hand; on a mismatch
+     * or miss the index is rebuilt once.
+     * @returns {Promise<{rowIndex: number, row: string[]}|null>}
+     */
+    async function findRow(title, id, lastColumn = 'A') {
+        for (const rebuilt of [false, true]) {
+            if (rebuilt) rowIndexCache.delete(title);
+            const index = await loadRowIndex(title);
+            if (!index.has(id)) continue;
+            const row = await readRow(title, index.get(id), lastColumn);
+            if (row[0] === id) return { rowIndex: index.get(id), row };
+        }
+        return null;
+    }
+
+    async function appendRow(title, card) {
+        const response = await sheets.spreadsheets.values.append({
+            spreadsheetId: SHEET_ID,
+            range: sheetRange(title, `A:${LAST_COLUMN}`),
+            valueInputOption: 'USER_ENTERED',
+            resource: { values: [cardToRow(card)] },
+        });
+        // e.g. "'Sheet1'!A12:R12"
+        const match = /!A(\d+)/.exec(response.data.updates && response.data.updates.updatedRange || '');
+        const index = rowIndexCache.get(title);
+        if (!index) return;
+        if (match) index.set(card.id, parseInt(match[1]) - 1);
+        else rowIndexCache.delete(title);
+    }
+
+    async function removeRow(title, sheetId, id, rowIndex) {
+        await deleteRow(sheetId, rowIndex);
+        const index = rowIndexCache.get(title);
+        if (!index) return;
+        index.delete(id);
+        // Rows below the deleted one move up by one
+        for (const [otherId, i] of index) {
+            if (i > rowIndex) index.set(otherId, i - 1);
+        }
+    }
+
+    // A missing tab reads as empty; a failed read throws, so it is never
+    // mistaken for an empty wall (which would bypass the card limit and id checks)
+    async function getSheetData(wall, suffix = '') {
+        if (!sheets) return [];
+        const info = await getSheetInfo(wall, suffix);
+        if (!info) return [];
+        const { title } = info;
+        const response = await sheets.spreadsheets.values.get({
+            spreadsheetId: SHEET_ID,
+            range: sheetRange(title, `A:${LAST_COLUMN}`), // Dynamic range
+        });
+        const rows = response.data.values || [];
+        indexRows(title, rows);
+        return rows;
+    }
+
+    return {
+        name: 'sheets',
+
+        isAvailable() {
+            return !!sheets;
+        },
+
+        async list(wall) {
+            const rows = await getSheetData(wall);
+            return rows.map(rowToCard).filter(c => c !== null);
+        },
+
+        async get(wall, id) {
+            if (!sheets) return null;
+            const info = await getSheetInfo(wall);
+            if (!info) return null;
+            const found = await findRow(info.title, id, LAST_COLUMN);
+            return found ? rowToCard(found.row) : null;
+        },
+
+        async create(wall, card) {
+            const { title } = await getSheetInfo(wall, '', { create: true });
+            return writeLock(title, async () => {
+                await appendRow(title, card);
+                return card;
+            });
+        },
+
+        async update(wall, id, updates) {
+            const info = await getSheetInfo(wall);
+            if (!info) return null;
+            const { title } = info;
+            return writeLock(title, async () => {
+                const found = await findRow(title, id, LAST_COLUMN);
+                if (!found) return null;
+
+                const card = rowToCard(found.row);
+                const changes = typeof updates === 'function' ? updates(card) : updates;
+                const updatedCard = { ...card, ...changes };
+                const sheetRow = found.rowIndex + 1; // 1-indexed
+
+                await sheets.spreadsheets.values.update({
+                    spreadsheetId: SHEET_ID,
+                    range: sheetRange(title, `A${sheetRow}:${LAST_COLUMN}${sheetRow}`),
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values: [cardToRow(updatedCard)] },
+                });
+                return updatedCard;
+            });
+        },
+
+        async remove(wall, id) {
+            const info = await getSheetInfo(wall); // Need numeric SheetID for batchUpdate
+            if (!info) return false;
+            const { title, sheetId } = info;
+            return writeLock(title, async () => {
+                const found = await findRow(title, id);
+                if (!found) return false;
+
+                await removeRow(title, sheetId, id, found.rowIndex);
+                return true;
+            });
+        },
+
+        async archive(wall, id) {
+            const info = await getSheetInfo(wall);
+            if (!info) return null;
+            const { title, sheetId } = info;
+            return writeLock(title, async () => {
+                const found = await findRow(title, id, LAST_COLUMN);
+                if (!found) return null;
+                const archiveInfo = await getSheetInfo(wall, ARCHIVE_SUFFIX, { create: true });
+
+                // Copy first, then delete: a failure leaves a duplicate rather than a lost card
+                const archivedCard = { ...rowToCard(found.row), archivedAt: new Date().toISOString() };
+                await appendRow(archiveInfo.title, archivedCard);
+                await removeRow(title, sheetId, id, found.rowIndex);
+                return archivedCard;
+            });
+        },
+
+        async listArchive(wall) {
+            const rows = await getSheetData(wall, ARCHIVE_SUFFIX);
+            return rows.map(rowToCard).filter(c => c !== null);
+        },
+
+        async getArchived(wall, id) {
+            if (!sheets) return null;
+            const info = await getSheetInfo(wall, ARCHIVE_SUFFIX);
+            if (!info) return null;
+            const found = await findRow(info.title, id, LAST_COLUMN);
+            return found ? rowToCard(found.row) : null;
+        },
+
+        async saveSnapshot(wall, snapshot) {
+            const { title } = await getSheetInfo(wall, SNAPSHOT_SUFFIX, { create: true });
+            return writeLock(title, async () => {
+                // RAW keeps the date a plain string instead of a Sheets date
+                await sheets.spreadsheets.values.append({
+                    spreadsheetId: SHEET_ID,
+                    range: sheetRange(title, 'A:C'),
+                    valueInputOption: 'RAW',
+                    resource: { values: [[snapshot.date, snapshot.takenAt, JSON.stringify(snapshot.cards)]] },
+                });
+                return snapshot;
+            });
+        },
+
+        async getSnapshot(wall, date) {
+            const snapshots = await listSnapshotRows(wall);
+            // A date saved twice (manual re-run) reads as its latest row
+            return snapshots.filter(s => s.date === date).pop() || null;
+        },
+
+        async listSnapshots(wall) {
+            return (await listSnapshotRows(wall)).map(s => ({ date: s.date, takenAt: s.takenAt, count: s.cards.length }));
+        },
+
+        async exportSnapshots(wall) {
+            const byDate = new Map();
+            (await listSnapshotRows(wall)).forEach(s => byDate.set(s.date, s));
+            return [...byDate.values()];
+        }
+    };
+
+    async function listSnapshotRows(wall) {
+        const rows = await getSheetData(wall, SNAPSHOT_SUFFIX);
+        return rows
+            .filter(row => row[0] && row[0] !== 'date')
+            .map(row => ({ date: row[0], takenAt: row[1] || null, cards: parseJsonCell(row[2], []) }));
+    }
+
+    async function deleteRow(sheetId, rowIndex) {
+        await sheets.spreadsheets.batchUpdate({
+            spreadsheetId: SHEET_ID,
+            resource: {
+                requests: [{
+                    deleteDimension: {
+                        range: {
+                            sheetId: sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowIndex,     // 0-indexed inclusive
+                            endIndex: rowIndex + 1    // exclusive
+                        }
+                    }
+                }]
+            }
+        });
+    }
+}
+
+module.exports = { createSheetsStore, rowToCard, cardToRow };
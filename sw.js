@@ -0,0 +1,231 @@
+/**
+ * Service worker: offline shell, last known wall, and queued writes.
+ *  - The app shell and unfiltered card lists are network-first and fall back to the cache (pages
+ *    fall back to moodwall.html); versioned card images are cache-first. Other GETs (stats,
+ *    searches, archive pages) are not cached, since each query string would add an entry for good
+ *  - Card POST/PATCH/DELETE made while offline are stored in IndexedDB, answered with
+ *    202 + X-Queued, and replayed in order when the connection is back
+ *  - Queued writes are overlaid on card lists (flagged pendingSync) so they survive a reload
+ */
+const CACHE_NAME = 'moodwall-v2';
+const SHELL_URLS = [
+    '/',
+    '/moodwall.html',
+    '/client.js',
+    '/i18n.js',
+    '/style.css',
+    '/manifest.json',
+    '/env-config.js',
+    '/img/moodwall.png',
+    '/node_modules/html2canvas/dist/html2canvas.min.js'
+];
+const SYNC_TAG = 'moodwall-sync';
+// POST /api/cards, PATCH|DELETE /api/cards/:id and the same under /api/walls/:wallId
+const CARD_LIST_PATTERN = /^\/api\/(?:walls\/[^/]+\/)?cards$/;
+const CARD_ITEM_PATTERN = /^(\/api\/(?:walls\/[^/]+\/)?cards)\/([^/]+)$/;
+// Image URLs carry ?v=<version>, so a cached copy never goes stale
+const CARD_IMAGE_PATTERN = /^\/api\/(?:walls\/[^/]+\/)?cards\/[^/]+\/image$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin) return;
+    // Live updates stream straight from the server
+    if (url.pathname.endsWith('/events')) return;
+
+    if (event.request.method === 'GET') {
+        const versioned = CARD_IMAGE_PATTERN.test(url.pathname) && url.searchParams.has('v');
+        event.respondWith(versioned ? cacheFirst(event.request) : networkFirst(event.request, url));
+    } else if (queueTarget(event.request.method, url.pathname)) {
+        event.respondWith(sendOrQueue(event.request, url));
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) event.waitUntil(replayQueue());
+});
+
+// Pages ask for a replay when they load and when the browser goes back online
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'replay') event.waitUntil(replayQueue());
+});
+
+/**
+ * Which card a write targets, or null if it isn't a queueable card write
+ * @returns {{listPath: string, cardId: string|null}|null}
+ */
+function queueTarget(method, pathname) {
+    if (method === 'POST' && CARD_LIST_PATTERN.test(pathname)) return { listPath: pathname, cardId: null };
+    const match = CARD_ITEM_PATTERN.exec(pathname);
+    if (match && (method === 'PATCH' || method === 'DELETE')) return { listPath: match[1], cardId: decodeURIComponent(match[2]) };
+    return null;
+}
+
+// The shell files and the card list a wall loads with. Anything with a query string
+// (filtered lists, ?date= pages) would be a new entry per query, so it isn't kept.
+function isCacheable(url) {
+    if (url.search) return false;
+    return SHELL_URLS.includes(url.pathname) || CARD_LIST_PATTERN.test(url.pathname);
+}
+
+async function networkFirst(request, url) {
+    const cache = await caches.open(CACHE_NAME);
+    let response;
+    try {
+        response = await fetch(request);
+        if (response.ok && isCacheable(url)) await cache.put(request, response.clone());
+    } catch (err) {
+        response = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        // /w/:wallId and friends are all the same page
+        if (!response && request.mode === 'navigate') response = await cache.match('/moodwall.html');
+        if (!response) return Response.error();
+    }
+
+    if (CARD_LIST_PATTERN.test(url.pathname) && response.ok) {
+        return overlayQueue(response, url.pathname);
+    }
+    return response;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        return Response.error();
+    }
+}
+
+async function sendOrQueue(request, url) {
+    const body = request.method === 'DELETE' ? null : await request.clone().text();
+    try {
+        return await fetch(request);
+    } catch (err) {
+        const target = queueTarget(request.method, url.pathname);
+        const cardId = target.cardId || JSON.parse(body || '{}').id || null;
+        await addToQueue({
+            url: url.pathname + url.search,
+            listPath: target.listPath,
+            cardId,
+            method: request.method,
+            headers: Array.from(request.headers.entries()),
+            body,
+            queuedAt: Date.now()
+        });
+        if (self.registration.sync) {
+            self.registration.sync.register(SYNC_TAG).catch(() => { });
+        }
+        return new Response(JSON.stringify({ queued: true, id: cardId }), {
+            status: 202,
+            headers: { 'Content-Type': 'application/json', 'X-Queued': '1' }
+        });
+    }
+}
+
+// Applies queued writes on top of a card list so offline changes survive a reload
+async function overlayQueue(response, listPath) {
+    const queued = (await readQueue()).filter(entry => entry.listPath === listPath);
+    if (queued.length === 0) return response;
+
+    let cards = await response.clone().json();
+    queued.forEach(entry => {
+        const changes = entry.body ? JSON.parse(entry.body) : {};
+        if (entry.method === 'POST') {
+            if (!cards.some(c => c.id === entry.cardId)) cards.push({ ...changes, pendingSync: true });
+        } else if (entry.method === 'PATCH') {
+            cards = cards.map(c => (c.id === entry.cardId ? { ...c, ...changes, pendingSync: true } : c));
+        } else if (entry.method === 'DELETE') {
+            cards = cards.filter(c => c.id !== entry.cardId);
+        }
+    });
+    return new Response(JSON.stringify(cards), { headers: { 'Content-Type': 'application/json' } });
+}
+
+let replaying = null;
+
+/**
+ * Sends queued writes in order. Stops at the first network error, 5xx or
+ * 429 (tried again later); other 4xx answers are final and reported to the page.
+ */
+function replayQueue() {
+    // One replay at a time, or the same write could be sent twice
+    if (!replaying) {
+        replaying = (async () => {
+            for (const entry of await readQueue()) {
+                let response;
+                try {
+                    response = await fetch(entry.url, {
+                        method: entry.method,
+                        headers: entry.headers,
+                        body: entry.body
+                    });
+                } catch (err) {
+                    return; // Still offline
+                }
+                if (response.status >= 500 || response.status === 429) return;
+
+                await removeFromQueue(entry.key);
+                let failure = null;
+                if (!response.ok) {
+                    // The page translates code/params; error is the fallback text
+                    const body = await response.json().catch(() => ({}));
+                    failure = { error: body.error || `HTTP ${response.status}`, code: body.code, params: body.params };
+                }
+                await notifyClients({ type: failure ? 'sync-failed' : 'synced', cardId: entry.cardId, method: entry.method, ...failure });
+            }
+        })().finally(() => { replaying = null; });
+    }
+    return replaying;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/* IndexedDB queue */
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open('moodwall-sync', 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('queue', { keyPath: 'key', autoIncrement: true });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('queue', mode);
+        const result = fn(tx.objectStore('queue'));
+        tx.oncomplete = () => resolve(result.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function addToQueue(entry) {
+    return withStore('readwrite', store => store.add(entry));
+}
+
+function readQueue() {
+    return withStore('readonly', store => store.getAll());
+}
+
+function removeFromQueue(key) {
+    return withStore('readwrite', store => store.delete(key));
+}